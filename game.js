@@ -9,9 +9,21 @@
 
 // Import all game modules
 import { AchievementManager } from './modules/achievements.js';
+import { AIOpponent } from './modules/ai.js';
+import { ControlSystem } from './modules/controls.js';
+import { DailyChallenge } from './modules/daily.js';
+import { LevelEditor } from './modules/editor.js';
+import { LevelLoader } from './modules/levels.js';
 import { MenuSystem } from './modules/menu.js';
 import { MobileSystem } from './modules/mobile.js';
 import { PhysicsEngine } from './modules/physics.js';
+import { PlayerManager } from './modules/players.js';
+import { POWERUP_TYPES, PowerupSystem } from './modules/powerups.js';
+import { PuzzleSystem } from './modules/puzzle.js';
+import { SeededRandom } from './modules/random.js';
+import { BoardRenderer } from './modules/renderer.js';
+import { ReplayPlayer, ReplayRecorder } from './modules/replay.js';
+import { ScoringSystem } from './modules/scoring.js';
 import { SoundSystem } from './modules/sound.js';
 import { StorageManager } from './modules/storage.js';
 import { UIManager } from './modules/ui.js';
@@ -28,12 +40,16 @@ class StellarPoolGame {
       score: 0,               // Current score
       level: 1,               // Current level
       timeLeft: 60,           // Time left in seconds
+      playTime: 0,            // Seconds played in this run
+      levelTransition: false, // Is the game between two levels?
+      levelStats: null,       // Shots, meteorite hits, lip-outs, time and starting score for the current level
       selectedStar: 'star1',  // Currently selected star
       startPos: { x: 0, y: 0 },  // Starting position for shooting
       currentPos: { x: 0, y: 0 }, // Current position for shooting
       dragging: false,        // Is player dragging a star?
       dragStartTime: 0,       // When drag started
       powerups: [],           // Active powerups
+      powerupInventory: [],   // Collected powerups waiting to be used
       camera: { x: 800, y: 400 }, // Camera position
       viewport: {             // Visible area
         width: window.innerWidth,
@@ -41,10 +57,17 @@ class StellarPoolGame {
       },
       settings: null,         // Game settings
       difficultyMultiplier: 1, // Increases with levels
+      seed: null,             // Seed of the gameplay RNG for this run
+      currentLevel: null,     // Level data currently loaded on the board
+      customLevel: null,      // Level supplied by the caller instead of the campaign
+      testMode: false,        // Is the level editor test-playing a level?
+      mode: 'timed',          // 'timed' countdown run, single 'puzzle' level with a shot budget, or 'daily' challenge
+      dailyDate: null,        // Date (YYYY-MM-DD) of the daily challenge being played
     };
     
-    this.timerInterval = null;
+    this.timerElapsed = 0;    // Played milliseconds not yet taken off the clock
     this.gameLoopId = null;
+    this.levelAdvanceTimer = null; // Pending switch to the next level
     this.lastUpdateTime = 0;
 
     // Initialize all subsystems
@@ -63,14 +86,30 @@ class StellarPoolGame {
     console.log('🚀 Initializing subsystems...');
 
     // Create all subsystems
+    this.random = new SeededRandom();
     this.storageManager = new StorageManager();
     this.soundSystem = new SoundSystem();
     this.physicsEngine = new PhysicsEngine(this);
+    this.boardRenderer = new BoardRenderer(this);
+    this.powerupSystem = new PowerupSystem(this);
+    this.controlSystem = new ControlSystem(this);
+    this.playerManager = new PlayerManager(this);
+    this.aiOpponent = new AIOpponent(this);
+    this.scoringSystem = new ScoringSystem(this);
+    this.replayRecorder = new ReplayRecorder(this);
+    this.levelLoader = new LevelLoader(this);
+    this.levelEditor = new LevelEditor(this);
     this.uiManager = new UIManager(this);
     this.achievementManager = new AchievementManager(this);
     this.menuSystem = new MenuSystem(this);
+    this.replayPlayer = new ReplayPlayer(this);
+    this.puzzleSystem = new PuzzleSystem(this);
+    this.dailyChallenge = new DailyChallenge(this);
     this.mobileSystem = new MobileSystem(this);
 
+    // Look up HUD and overlay elements
+    this.uiManager.initialize();
+
     // Load saved settings
     this.loadSettings();
 
@@ -107,49 +146,245 @@ class StellarPoolGame {
     document.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
     document.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
     document.addEventListener('keydown', this.handleKeyDown.bind(this));
+    document.addEventListener('keyup', this.handleKeyUp.bind(this));
+
+    // Pause (and keep a resumable snapshot) when the player looks away
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.autoPause('tab hidden');
+      }
+    });
+    window.addEventListener('blur', () => this.autoPause('focus lost'));
+    window.addEventListener('pagehide', () => this.saveProgress('exit'));
 
     // Touch events are primarily handled by MobileSystem for complex gestures
   }
 
   /**
    * Starts a new game with given settings
+   *
+   * Pass `options.seed` to replay a previous run exactly; otherwise a fresh
+   * seed is generated. `options.level` plays a single custom level, and
+   * `options.testMode` returns to the level editor when the run ends.
+   * `options.mode: 'puzzle'` plays campaign level `options.levelNumber` with
+   * no clock but a limited number of shots; `options.mode: 'daily'` plays
+   * the daily challenge of `options.dailyDate`.
    */
-  startGame(settings = null) {
+  startGame(settings = null, options = {}) {
     console.log('🎮 Starting new game...');
+
+    // Stop any previous run and clear its overlays
+    this.stopGameLoop();
+    this.uiManager.hideGameOverScreen();
+    this.uiManager.hidePauseScreen();
     
     // Update settings if provided
     if (settings) {
       this.gameState.settings = settings;
     }
 
+    // Seed all gameplay randomness for this run
+    const seed = options.seed ?? SeededRandom.generateSeed();
+    this.random.setSeed(seed);
+    this.gameState.seed = this.random.seed;
+
     // Reset game state
     this.gameState.gameActive = true;
     this.gameState.gamePaused = false;
     this.gameState.gameOver = false;
     this.gameState.score = 0;
-    this.gameState.level = 1;
+    this.gameState.mode = ['puzzle', 'daily'].includes(options.mode) ? options.mode : 'timed';
+    this.gameState.dailyDate = options.dailyDate || null;
+    this.gameState.level = options.levelNumber || 1;
     this.gameState.timeLeft = this.gameState.settings.timeLimit || 60;
+    this.gameState.playTime = 0;
+    this.gameState.levelTransition = false;
     this.gameState.powerups = [];
+    this.gameState.powerupInventory = [];
+    this.physicsEngine.resetEffects();
+    this.uiManager.clearPowerupDisplays();
+    this.scoringSystem.reset();
+    this.uiManager.updateMultiplier(1);
     this.gameState.difficultyMultiplier = 1;
-    this.gameState.camera = { x: 800, y: 400 };
+    this.gameState.customLevel = options.level || null;
+    this.gameState.testMode = Boolean(options.testMode);
+
+    // Hot-seat players (and the computer opponent) take turns; editor test
+    // plays, puzzles and daily challenges are always solo
+    if (this.gameState.testMode || this.gameState.mode !== 'timed') {
+      this.playerManager.setup(1);
+    } else {
+      this.playerManager.setup(this.gameState.settings.playerCount, this.gameState.settings.aiDifficulty);
+    }
+    this.aiOpponent.reset();
+
+    // Record every shot of the run for replays (not for editor test plays);
+    // a new run also replaces any saved game
+    if (this.gameState.testMode) {
+      this.replayRecorder.discard();
+    } else {
+      this.replayRecorder.start(this.gameState.seed);
+      this.storageManager.clearProgress();
+    }
 
     // Initialize level
     this.initializeLevel();
     
-    // Start game loop
+    // Start game loop and timer
+    this.startRunLoop();
+    
+    // Update UI
+    this.uiManager.updateHUD(this.gameState);
+    this.uiManager.updatePlayers(this.playerManager);
+    
+    // Play background music
+    this.soundSystem.playMusic('menu');
+
+    this.achievementManager.onGameStart();
+    
+    console.log(`🎮 Game started with seed ${this.gameState.seed} and settings:`, this.gameState.settings);
+  }
+
+  /**
+   * Play the same kind of run again from the game over screen
+   */
+  restartGame() {
+    if (this.gameState.mode === 'puzzle') {
+      this.startGame(null, { mode: 'puzzle', levelNumber: this.gameState.level });
+    } else if (this.gameState.mode === 'daily') {
+      // One attempt per day: this only shows today's result again
+      this.dailyChallenge.start();
+    } else {
+      this.startGame();
+    }
+  }
+
+  /**
+   * Start the game loop (which also runs the countdown timer)
+   */
+  startRunLoop() {
+    this.timerElapsed = 0;
     this.lastUpdateTime = performance.now();
+    this.physicsEngine.resetClock();
     this.gameLoopId = requestAnimationFrame(this.gameLoop.bind(this));
+  }
+
+  /**
+   * Snapshot everything needed to resume the current run later
+   */
+  createSaveState() {
+    const gameState = this.gameState;
+    
+    return {
+      mode: gameState.mode,
+      dailyDate: gameState.dailyDate,
+      score: gameState.score,
+      level: gameState.level,
+      timeLeft: gameState.timeLeft,
+      playTime: gameState.playTime,
+      difficultyMultiplier: gameState.difficultyMultiplier,
+      seed: gameState.seed,
+      selectedStar: gameState.selectedStar,
+      powerups: gameState.powerups,
+      powerupInventory: gameState.powerupInventory,
+      levelStats: gameState.levelStats,
+      currentLevel: gameState.currentLevel,
+      customLevel: gameState.customLevel,
+      settings: gameState.settings,
+      physics: this.physicsEngine.getState(),
+      random: this.random.getState(),
+      powerupSpawner: this.powerupSystem.getState(),
+      players: this.playerManager.getState(),
+      scoring: this.scoringSystem.getState(),
+      replay: this.replayRecorder.getState()
+    };
+  }
+
+  /**
+   * Save the run so it can be continued from the main menu
+   */
+  saveProgress(reason) {
+    const { gameActive, gameOver, testMode, levelTransition } = this.gameState;
     
-    // Start timer
-    this.timerInterval = setInterval(this.updateTimer.bind(this), 1000);
+    // Nothing to resume, or a level that is about to change under us
+    if (!gameActive || gameOver || testMode || levelTransition) return false;
+    
+    console.log(`💾 Saving progress (${reason})`);
+    return this.storageManager.saveProgress(this.createSaveState());
+  }
+
+  /**
+   * Restore the saved run and keep playing
+   */
+  continueGame() {
+    const progress = this.storageManager.loadProgress();
+    if (!progress) {
+      this.uiManager.showNotification('No saved game to continue', 'info');
+      this.menuSystem.show();
+      return false;
+    }
+    
+    console.log(`▶️ Continuing saved game from ${progress.lastSaved}`);
+    
+    this.stopGameLoop();
+    this.uiManager.hideGameOverScreen();
+    this.uiManager.hidePauseScreen();
+    
+    // Restore run state and the RNG exactly where it stopped
+    this.gameState.settings = progress.settings;
+    this.random.setState(progress.random);
+    Object.assign(this.gameState, {
+      gameActive: true,
+      gamePaused: false,
+      gameOver: false,
+      levelTransition: false,
+      testMode: false,
+      mode: progress.mode || 'timed',
+      dailyDate: progress.dailyDate || null,
+      score: progress.score,
+      level: progress.level,
+      timeLeft: progress.timeLeft,
+      playTime: progress.playTime,
+      difficultyMultiplier: progress.difficultyMultiplier,
+      seed: progress.seed,
+      powerups: progress.powerups,
+      powerupInventory: progress.powerupInventory,
+      levelStats: progress.levelStats,
+      currentLevel: progress.currentLevel,
+      customLevel: progress.customLevel
+    });
+    
+    // Rebuild the board, then put every entity back where it was
+    this.levelLoader.buildBoard(progress.currentLevel);
+    this.boardRenderer.reset();
+    this.physicsEngine.setState(progress.physics);
+    this.powerupSystem.setState(progress.powerupSpawner);
+    this.playerManager.setState(progress.players);
+    this.scoringSystem.setState(progress.scoring);
+    this.aiOpponent.reset();
+    this.replayRecorder.setState(progress.replay);
+    this.selectStar(progress.selectedStar);
+    this.boardRenderer.render(1);
+    this.gameState.camera = { x: progress.currentLevel.board.width / 2, y: progress.currentLevel.board.height / 2 };
+    this.updateCameraPosition();
+    
+    // Active powerups keep their remaining time
+    this.uiManager.clearPowerupDisplays();
+    this.gameState.powerups.forEach(powerup => {
+      this.uiManager.updatePowerupDisplay(powerup.type, true, powerup.timeLeft / powerup.duration);
+    });
+    
+    this.startRunLoop();
     
     // Update UI
+    this.uiManager.updateLevel(this.gameState.level);
     this.uiManager.updateHUD(this.gameState);
-    
-    // Play background music
+    this.uiManager.updatePlayers(this.playerManager);
+    this.uiManager.updateMultiplier(this.scoringSystem.multiplier);
+    this.uiManager.showNotification(`Welcome back! Level ${this.gameState.level}`, 'info');
     this.soundSystem.playMusic('menu');
     
-    console.log('🎮 Game started with settings:', this.gameState.settings);
+    return true;
   }
 
   /**
@@ -158,37 +393,66 @@ class StellarPoolGame {
   initializeLevel() {
     console.log(`🌟 Initializing level ${this.gameState.level}...`);
 
-    // Reset stars and game elements
-    this.physicsEngine.initialize();
+    // Apply difficulty adjustments
+    this.applyDifficultyAdjustments();
+
+    // Build the board and physics entities from the level data
+    const level = this.gameState.customLevel
+      ? this.levelLoader.normalizeLevel(this.gameState.customLevel)
+      : this.levelLoader.getLevel(this.gameState.level, this.gameState.difficultyMultiplier);
+    this.gameState.currentLevel = level;
+    this.levelLoader.load(level);
+    this.replayRecorder.beginLevel(this.gameState.level, level);
+    this.scoringSystem.resetLevel();
+    this.uiManager.updateMultiplier(1);
+
+    // Center the camera on the new board
+    this.gameState.camera = { x: level.board.width / 2, y: level.board.height / 2 };
+
+    // Later levels grant extra time on top of the time carried over
+    if (this.gameState.level > 1) {
+      this.gameState.timeLeft += level.timeBonus;
+    }
+
+    // Per-level statistics used by the win condition and achievements
+    this.gameState.levelStats = {
+      shots: 0,
+      meteoriteHits: 0,
+      lipOuts: 0,
+      time: 0,
+      startScore: this.gameState.score
+    };
     
     // Update UI
     this.uiManager.updateLevel(this.gameState.level);
-    
-    // Apply difficulty adjustments
-    this.applyDifficultyAdjustments();
+    this.uiManager.showNotification(`${level.name}: ${this.levelLoader.describeWinCondition(level.winCondition)}`, 'info');
   }
 
   /**
    * Apply difficulty adjustments based on current level
    */
   applyDifficultyAdjustments() {
-    // Adjust difficulty multiplier: 1.0 for level 1, increases with each level
+    // Adjust difficulty multiplier: 1.0 for level 1, increases with each level.
+    // The level loader scales meteorite speeds by it.
     this.gameState.difficultyMultiplier = 1 + (this.gameState.level - 1) * 0.2;
     
-    // Increase game speed slightly with level
-    const gameSpeed = 1 + (this.gameState.level - 1) * 0.05;
-    
-    console.log(`🔄 Level ${this.gameState.level}: Difficulty multiplier ${this.gameState.difficultyMultiplier.toFixed(2)}, Game speed ${gameSpeed.toFixed(2)}`);
-    
-    // Additional level-specific adjustments can be added here
+    console.log(`🔄 Level ${this.gameState.level}: Difficulty multiplier ${this.gameState.difficultyMultiplier.toFixed(2)}`);
   }
 
   /**
    * Main game loop
    */
   gameLoop(timestamp) {
-    // Skip if game is not active or is paused
-    if (!this.gameState.gameActive || this.gameState.gamePaused) {
+    // A finished or abandoned run schedules no more frames
+    if (!this.gameState.gameActive || this.gameState.gameOver) {
+      this.gameLoopId = null;
+      return;
+    }
+
+    // Skip while paused
+    if (this.gameState.gamePaused) {
+      // Keep the clock current so paused time doesn't drain active powerups
+      this.lastUpdateTime = timestamp;
       this.gameLoopId = requestAnimationFrame(this.gameLoop.bind(this));
       return;
     }
@@ -197,14 +461,40 @@ class StellarPoolGame {
     const deltaTime = timestamp - this.lastUpdateTime;
     this.lastUpdateTime = timestamp;
     
-    // Update game physics
-    this.physicsEngine.update(this.gameState);
+    // Update game physics (fixed-step simulation, interpolated rendering)
+    const steps = this.physicsEngine.update(timestamp);
+    
+    // Draw the board between the last two physics steps and follow moving stars
+    this.boardRenderer.render(this.physicsEngine.getInterpolationAlpha());
+    this.boardRenderer.updateCamera(this.gameState);
     
     // Update powerups
+    this.powerupSystem.update(steps);
     this.updatePowerups(deltaTime);
     
-    // Check game conditions
+    // Let the combo lapse when no star is potted in time
+    if (this.scoringSystem.update()) {
+      this.uiManager.updateMultiplier(1);
+    }
+    
+    // Hand the turn over once the last shot has come to rest
+    if (this.playerManager.update(this.physicsEngine.stars)) {
+      this.onTurnPassed();
+    }
+    this.aiOpponent.update(deltaTime);
+    
+    // Advance the flipper meter and refresh the aim preview
+    this.controlSystem.update(deltaTime);
+    if (this.gameState.dragging) {
+      this.updateAimPreview();
+    }
+    
+    // Count down only the time actually played
+    if (!this.advanceTimer(deltaTime)) return;
+    
+    // Check game conditions (the run may have just ended)
     this.checkGameConditions();
+    if (!this.gameState.gameActive) return;
     
     // Update UI
     this.uiManager.updateHUD(this.gameState);
@@ -241,31 +531,42 @@ class StellarPoolGame {
   activatePowerup(type, duration) {
     console.log(`🔆 Activating powerup: ${type} for ${duration} seconds`);
     
-    // Add to active powerups
-    this.gameState.powerups.push({
-      type: type,
-      duration: duration,
-      timeLeft: duration
-    });
+    // Re-activating a running powerup only refreshes its duration
+    const active = this.gameState.powerups.find(powerup => powerup.type === type);
+    if (active) {
+      active.duration = duration;
+      active.timeLeft = duration;
+    } else {
+      this.gameState.powerups.push({
+        type: type,
+        duration: duration,
+        timeLeft: duration
+      });
+    }
     
     // Apply powerup effect
     switch (type) {
       case 'slowTime':
         // Slow down game speed
+        this.physicsEngine.timeScale = POWERUP_TYPES.slowTime.timeScale;
         break;
       case 'shield':
         // Add protection
+        this.physicsEngine.shieldActive = true;
         break;
       case 'magnet':
-        // Attract nearby stars
+        // Attract moving stars towards the active hole
+        this.physicsEngine.magnetActive = true;
         break;
     }
+    this.replayRecorder.recordEffects();
     
     // Play sound
     this.soundSystem.play('powerup');
+    this.achievementManager.onPowerupUsed(type);
     
     // Show notification
-    this.uiManager.showNotification(`${type} activated!`, 'success');
+    this.uiManager.showNotification(`${POWERUP_TYPES[type].label} activated!`, 'success');
     
     // Update UI
     this.uiManager.updatePowerupDisplay(type, true, 1.0);
@@ -281,43 +582,90 @@ class StellarPoolGame {
     switch (type) {
       case 'slowTime':
         // Restore normal game speed
+        this.physicsEngine.timeScale = 1;
         break;
       case 'shield':
         // Remove protection
+        this.physicsEngine.shieldActive = false;
         break;
       case 'magnet':
         // Remove attraction
+        this.physicsEngine.magnetActive = false;
         break;
     }
+    this.replayRecorder.recordEffects();
     
     // Update UI
     this.uiManager.updatePowerupDisplay(type, false);
-    this.uiManager.showNotification(`${type} expired`, 'info');
+    this.uiManager.showNotification(`${POWERUP_TYPES[type].label} expired`, 'info');
+  }
+
+  /**
+   * Use the oldest collected powerup
+   */
+  useStoredPowerup() {
+    if (!this.gameState.gameActive || this.gameState.gamePaused) return;
+    if (this.gameState.powerupInventory.length === 0) return;
+
+    const type = this.gameState.powerupInventory.shift();
+    this.activatePowerup(type, POWERUP_TYPES[type].duration);
+    this.uiManager.updateControlButtons(this.gameState);
   }
 
   /**
    * Check game conditions for level completion or game over
    */
   checkGameConditions() {
-    // Check if all stars are in holes
-    const allStarsInHoles = this.checkAllStarsInHoles();
-    
-    if (allStarsInHoles) {
+    // Nothing to check while the next level is being prepared
+    if (this.gameState.levelTransition) return;
+
+    if (this.isLevelComplete()) {
       this.completeLevel();
+    } else if (this.isOutOfShots()) {
+      // The last shot of a puzzle came to rest short of the goal
+      this.endGame();
+      return;
+    } else if (this.physicsEngine.stars.every(star => star.inHole)) {
+      // Every star is potted but the goal was missed: put them back
+      this.retryLevel();
     }
     
     // Check if time has run out
-    if (this.gameState.timeLeft <= 0) {
+    if (this.gameState.mode !== 'puzzle' && this.gameState.timeLeft <= 0) {
       this.endGame();
     }
   }
 
   /**
-   * Check if all stars are in holes
+   * Check the current level's win condition against the physics state
+   */
+  isLevelComplete() {
+    const level = this.gameState.currentLevel;
+    if (!level) return false;
+
+    const levelScore = this.gameState.score - this.gameState.levelStats.startScore;
+    return this.levelLoader.checkWinCondition(level, this.physicsEngine.stars, levelScore);
+  }
+
+  /**
+   * Has a puzzle level used its whole shot budget, with every star at rest?
    */
-  checkAllStarsInHoles() {
-    // This is a simplified placeholder, actual implementation would check game state
-    return false;
+  isOutOfShots() {
+    if (this.gameState.mode !== 'puzzle') return false;
+
+    const shots = this.gameState.levelStats.shots;
+    return shots >= this.gameState.currentLevel.shotBudget && !this.physicsEngine.isAnyStarMoving();
+  }
+
+  /**
+   * Reset the stars when the level can no longer be won as played
+   */
+  retryLevel() {
+    console.log(`🔁 Level ${this.gameState.level} goal missed, resetting stars`);
+
+    this.replayRecorder.record('reset');
+    this.resetStars();
+    this.uiManager.showNotification('Goal missed! Stars reset', 'warning');
   }
 
   /**
@@ -325,25 +673,54 @@ class StellarPoolGame {
    */
   completeLevel() {
     console.log(`🎉 Level ${this.gameState.level} completed!`);
+
+    const stats = this.gameState.levelStats;
+    this.gameState.levelTransition = true;
+    this.replayRecorder.endLevel();
     
     // Award points for level completion
     const levelBonus = 500 * this.gameState.level;
     this.updateScore(levelBonus);
-    
-    // Increase level
-    this.gameState.level++;
+    this.scoringSystem.record('levelBonus', levelBonus);
     
     // Show notification
-    this.uiManager.showNotification(`Level ${this.gameState.level - 1} Complete! +${levelBonus} points`, 'success');
+    this.uiManager.showNotification(`Level ${this.gameState.level} Complete! +${levelBonus} points`, 'success');
     
     // Play sound
     this.soundSystem.play('levelComplete');
+    this.mobileSystem.onLevelComplete();
     
-    // Initialize next level
-    this.initializeLevel();
+    // Award achievements
+    this.achievementManager.onLevelComplete({
+      timeUsed: stats.time,
+      isPerfect: stats.shots <= this.gameState.currentLevel.stars.length,
+      noMeteoriteHits: stats.meteoriteHits === 0
+    });
+
+    // Test plays and single custom levels end here
+    if (this.gameState.testMode) {
+      this.stopGameLoop();
+      this.gameState.gameActive = false;
+      this.levelEditor.onTestPlayEnded(`Level complete in ${stats.shots} shots!`);
+      return;
+    }
+
+    if (this.gameState.customLevel || this.gameState.mode === 'puzzle') {
+      this.endGame();
+      return;
+    }
     
-    // Award achievement
-    this.achievementManager.checkLevelAchievement(this.gameState.level);
+    // Advance to the next level after a short pause, keeping the remaining time
+    // (stopGameLoop cancels it if this run ends or another one starts first)
+    this.levelAdvanceTimer = setTimeout(() => {
+      this.levelAdvanceTimer = null;
+      if (!this.gameState.gameActive) return;
+
+      this.gameState.level++;
+      this.initializeLevel();
+      this.gameState.levelTransition = false;
+      this.achievementManager.onLevelReached(this.gameState.level);
+    }, 1500);
   }
 
   /**
@@ -357,27 +734,101 @@ class StellarPoolGame {
     this.gameState.gameOver = true;
     
     // Clear timers
-    clearInterval(this.timerInterval);
-    cancelAnimationFrame(this.gameLoopId);
+    this.stopGameLoop();
     
     // Play game over sound
     this.soundSystem.stopMusic();
     this.soundSystem.play('gameOver');
+
+    // Test plays go straight back to the editor without scoring
+    if (this.gameState.testMode) {
+      this.levelEditor.onTestPlayEnded(`Time up! Score: ${this.gameState.score}`);
+      return;
+    }
     
     // Show game over screen
     const stats = {
       finalScore: this.gameState.score,
       maxLevel: this.gameState.level,
-      playTime: this.gameState.settings.timeLimit - this.gameState.timeLeft
+      playTime: this.gameState.playTime,
+      seed: this.gameState.seed,
+      players: this.playerManager.isMultiplayer ? this.playerManager.getStandings() : null,
+      breakdown: this.scoringSystem.getBreakdown(),
+      puzzle: this.gameState.mode === 'puzzle'
+        ? this.puzzleSystem.finishLevel(
+          this.gameState.level,
+          this.gameState.currentLevel,
+          this.gameState.levelStats.shots,
+          this.isLevelComplete()
+        )
+        : null,
+      daily: this.gameState.mode === 'daily'
+        ? this.dailyChallenge.finish(this.gameState.dailyDate, {
+          completed: this.isLevelComplete(),
+          score: this.gameState.score,
+          shots: this.gameState.levelStats.shots,
+          par: this.gameState.currentLevel.parShots,
+          time: this.gameState.playTime,
+          potted: this.physicsEngine.stars.filter(star => star.inHole).length,
+          stars: this.physicsEngine.stars.length
+        })
+        : null
     };
     
     this.uiManager.showGameOverScreen(stats);
     
-    // Save high score
-    this.saveHighScore();
+    // A finished run can no longer be continued
+    this.storageManager.clearProgress();
+    
+    // Save high score (timed runs only) and the replay of the run
+    if (this.gameState.mode === 'timed') {
+      this.saveHighScore();
+    }
+    const replay = this.replayRecorder.finish({ finalScore: stats.finalScore, maxLevel: stats.maxLevel });
+    if (replay) {
+      this.storageManager.saveReplay(replay);
+    }
     
     // Check achievements
-    this.achievementManager.checkGameEndAchievements(stats);
+    this.achievementManager.onGameOver();
+    this.achievementManager.onSessionTime(stats.playTime);
+  }
+
+  /**
+   * Stop the game loop, the countdown timer and any pending level advance
+   */
+  stopGameLoop() {
+    cancelAnimationFrame(this.gameLoopId);
+    this.gameLoopId = null;
+    clearTimeout(this.levelAdvanceTimer);
+    this.levelAdvanceTimer = null;
+  }
+
+  /**
+   * Abandon the current run and return to the main menu (or to the editor
+   * when test-playing a level)
+   */
+  quitToMenu() {
+    console.log('🚪 Quitting to menu');
+
+    // Leave the run resumable from "Continue"
+    this.saveProgress('quit');
+
+    this.gameState.gameActive = false;
+    this.gameState.gamePaused = false;
+    this.stopGameLoop();
+    this.replayRecorder.discard();
+    this.soundSystem.stopMusic();
+    this.cancelAim();
+
+    this.uiManager.hidePauseScreen();
+    this.uiManager.hideGameOverScreen();
+
+    if (this.gameState.testMode) {
+      this.levelEditor.onTestPlayEnded();
+    } else {
+      this.menuSystem.show();
+    }
   }
 
   /**
@@ -385,10 +836,25 @@ class StellarPoolGame {
    */
   saveHighScore() {
     if (this.storageManager) {
+      const date = new Date().toISOString();
+      
+      // Hot-seat games rank every human player on their own score
+      if (this.playerManager.isMultiplayer) {
+        this.playerManager.players.filter(player => player.type === 'human').forEach(player => {
+          this.storageManager.saveHighScore({
+            score: player.score,
+            level: this.gameState.level,
+            player: player.name,
+            date
+          });
+        });
+        return;
+      }
+      
       const scoreData = {
         score: this.gameState.score,
         level: this.gameState.level,
-        date: new Date().toISOString()
+        date
       };
       
       this.storageManager.saveHighScore(scoreData);
@@ -403,16 +869,44 @@ class StellarPoolGame {
     this.gameState.score += points;
     this.uiManager.updateScore(this.gameState.score);
     
+    // Credit the player whose turn it is
+    this.playerManager.addScore(points);
+    this.uiManager.updatePlayers(this.playerManager);
+    
     // Check for score-based achievements
-    this.achievementManager.checkScoreAchievement(this.gameState.score);
+    this.achievementManager.onScoreUpdate(this.gameState.score);
+  }
+
+  /**
+   * Add played time from the game loop and tick the clock once per whole
+   * second. Returns false if time ran out and the game ended.
+   */
+  advanceTimer(deltaTime) {
+    // The clock stops between levels
+    if (this.gameState.levelTransition) return true;
+    
+    this.timerElapsed += deltaTime;
+    while (this.timerElapsed >= 1000) {
+      this.timerElapsed -= 1000;
+      this.updateTimer();
+      if (!this.gameState.gameActive) return false;
+    }
+    
+    return true;
   }
 
   /**
-   * Update the game timer
+   * Take one second off the clock
    */
   updateTimer() {
     if (!this.gameState.gameActive || this.gameState.gamePaused) return;
     
+    this.gameState.playTime++;
+    this.gameState.levelStats.time++;
+    
+    // Puzzle levels have no clock, only a shot budget
+    if (this.gameState.mode === 'puzzle') return;
+    
     this.gameState.timeLeft--;
     
     // Update UI
@@ -435,7 +929,14 @@ class StellarPoolGame {
   togglePause() {
     this.gameState.gamePaused = !this.gameState.gamePaused;
     
+    // Paused time never reaches the simulation
+    this.physicsEngine.resetClock();
+    
     if (this.gameState.gamePaused) {
+      // Drop any shot being aimed
+      this.cancelAim();
+      this.saveProgress('pause');
+      
       // Show pause screen
       this.uiManager.showPauseScreen();
       console.log('⏸️ Game paused');
@@ -448,11 +949,65 @@ class StellarPoolGame {
     return this.gameState.gamePaused;
   }
 
+  /**
+   * Pause a running game on its own (tab hidden or window lost focus)
+   */
+  autoPause(reason) {
+    const { gameActive, gamePaused, gameOver } = this.gameState;
+    if (!gameActive || gamePaused || gameOver) return false;
+    
+    console.log(`⏸️ Auto-pausing (${reason})`);
+    this.togglePause();
+    return true;
+  }
+
   /**
    * Switch active star
    */
   switchActiveStar() {
-    this.physicsEngine.switchActiveStar();
+    this.cancelAim();
+    
+    const nextStar = this.physicsEngine.getNextAvailableStar(this.gameState.selectedStar);
+    if (nextStar) {
+      this.selectStar(nextStar.id);
+    }
+  }
+
+  /**
+   * Select a star and highlight it on the board
+   */
+  selectStar(starId) {
+    this.gameState.selectedStar = starId;
+    this.boardRenderer.updateSelection(starId);
+    this.uiManager.updateSelectedStar(this.physicsEngine.stars.find(star => star.id === starId));
+  }
+
+  /**
+   * Put every star back on its spawn point and select the first one
+   */
+  resetStars() {
+    this.physicsEngine.resetStars();
+    
+    const firstStar = this.physicsEngine.stars[0];
+    if (firstStar) {
+      this.selectStar(firstStar.id);
+    }
+    this.boardRenderer.render(1);
+  }
+
+  /**
+   * Drop the shot being aimed and its preview
+   */
+  cancelAim() {
+    this.controlSystem.cancelAim();
+  }
+
+  /**
+   * Hide the aim line and predicted path
+   */
+  hideAimPreview() {
+    this.hideAimLine();
+    this.hideTrajectory();
   }
 
   /**
@@ -481,40 +1036,20 @@ class StellarPoolGame {
     const starElement = event.target.closest('.star');
     if (!starElement) return;
     
+    // Wait for the previous player's shot to finish
+    if (!this.canShoot()) return;
+    
     // Ignore stars already in holes or in motion
     const starId = starElement.id;
     const star = this.physicsEngine.stars.find(s => s.id === starId);
     if (!star || star.moving || star.inHole) return;
     
     // Set selected star
-    this.gameState.selectedStar = starId;
-    
-    // Update star selection visually
-    this.physicsEngine.stars.forEach(s => {
-      if (s.element) {
-        s.element.classList.toggle('selected', s.id === starId);
-      }
-    });
-    
-    // Set up dragging for shooting
-    this.gameState.dragging = true;
-    this.gameState.dragStartTime = performance.now();
+    this.selectStar(starId);
     
-    // Record start position for shoot direction
-    this.gameState.startPos = {
-      x: event.clientX,
-      y: event.clientY
-    };
-    
-    this.gameState.currentPos = {
-      x: event.clientX,
-      y: event.clientY
-    };
-    
-    // Update aim line if enabled
-    if (this.gameState.settings.showAimLine) {
-      this.showAimLine(this.gameState.startPos, this.gameState.currentPos);
-    }
+    // Start aiming; the control mode decides how power is chosen
+    this.controlSystem.beginAim({ x: event.clientX, y: event.clientY }, 'pointer');
+    this.updateAimPreview();
     
     // Prevent default to avoid unwanted text selection
     event.preventDefault();
@@ -527,15 +1062,8 @@ class StellarPoolGame {
     if (!this.gameState.gameActive || !this.gameState.dragging) return;
     
     // Update current position
-    this.gameState.currentPos = {
-      x: event.clientX,
-      y: event.clientY
-    };
-    
-    // Update aim line if enabled
-    if (this.gameState.settings.showAimLine) {
-      this.showAimLine(this.gameState.startPos, this.gameState.currentPos);
-    }
+    this.controlSystem.moveAim({ x: event.clientX, y: event.clientY });
+    this.updateAimPreview();
     
     // Prevent default to avoid unwanted text selection
     event.preventDefault();
@@ -545,37 +1073,50 @@ class StellarPoolGame {
    * Event handler for mouse up events
    */
   handleMouseUp(event) {
-    if (!this.gameState.gameActive || !this.gameState.dragging) return;
+    if (!this.gameState.gameActive || this.controlSystem.source !== 'pointer') return;
     
-    // Calculate drag time and distance
-    const dragEndTime = performance.now();
-    const dragTime = dragEndTime - this.gameState.dragStartTime;
+    // Shoot if the aim has a direction and some power
+    this.controlSystem.releaseAim();
     
-    // Calculate drag distance
-    const dx = this.gameState.startPos.x - this.gameState.currentPos.x;
-    const dy = this.gameState.startPos.y - this.gameState.currentPos.y;
-    const dragDistance = Math.sqrt(dx * dx + dy * dy);
-    
-    // Only shoot if dragged a minimum distance
-    if (dragDistance > 10) {
-      // Shoot the star
-      this.physicsEngine.shootStar(this.gameState, dragDistance, dragTime);
-      
-      // Play sound
-      this.soundSystem.play('shoot');
-      
-      // Trigger mobile vibration
-      this.mobileSystem.onStarShoot();
+    // Prevent default to avoid unwanted actions
+    event.preventDefault();
+  }
+
+  /**
+   * Can the player at the controls shoot now? In hot-seat games nobody shoots
+   * until the last shot has come to rest, and the computer plays its own turns
+   */
+  canShoot() {
+    const playerManager = this.playerManager;
+    if (playerManager.currentPlayer.type === 'ai') return false;
+    if (this.gameState.mode === 'puzzle' && this.gameState.levelStats.shots >= this.gameState.currentLevel.shotBudget) {
+      return false;
     }
+    return !(playerManager.isMultiplayer && playerManager.isTurnInProgress());
+  }
+
+  /**
+   * Shoot the selected star; every input method ends up here.
+   * Returns false (and uses no shot) when the shot has no direction or power.
+   */
+  launchSelectedStar(dragDistance, dragTime) {
+    const star = this.physicsEngine.stars.find(s => s.id === this.gameState.selectedStar);
+    const velocity = star && this.physicsEngine.getShotVelocity(star, this.gameState, dragDistance);
+    if (!velocity || (velocity.x === 0 && velocity.y === 0)) return false;
+
+    this.replayRecorder.recordShot(this.gameState, dragDistance, dragTime);
+    this.scoringSystem.beginShot(this.gameState.selectedStar);
+    this.physicsEngine.shootStar(this.gameState, dragDistance, dragTime);
+    this.gameState.levelStats.shots++;
+    this.playerManager.onShot();
+    this.achievementManager.onStarShoot();
     
-    // Reset dragging state
-    this.gameState.dragging = false;
-    
-    // Hide aim line
-    this.hideAimLine();
+    // Play sound
+    this.soundSystem.play('shoot');
     
-    // Prevent default to avoid unwanted actions
-    event.preventDefault();
+    // Trigger mobile vibration
+    this.mobileSystem.onStarShoot();
+    return true;
   }
 
   /**
@@ -585,13 +1126,7 @@ class StellarPoolGame {
     if (!event.touches || !event.touches[0]) return;
     
     const touch = event.touches[0];
-    const mouseEvent = new MouseEvent('mousedown', {
-      clientX: touch.clientX,
-      clientY: touch.clientY,
-      bubbles: true,
-      cancelable: true,
-      view: window
-    });
+    const mouseEvent = this.createPointerEvent('mousedown', touch);
     
     this.handleMouseDown(mouseEvent);
     event.preventDefault(); // Prevent scrolling
@@ -601,27 +1136,37 @@ class StellarPoolGame {
     if (!event.touches || !event.touches[0]) return;
     
     const touch = event.touches[0];
-    const mouseEvent = new MouseEvent('mousemove', {
-      clientX: touch.clientX,
-      clientY: touch.clientY,
-      bubbles: true,
-      cancelable: true,
-      view: window
-    });
+    const mouseEvent = this.createPointerEvent('mousemove', touch);
     
     this.handleMouseMove(mouseEvent);
     event.preventDefault(); // Prevent scrolling
   }
 
   handleTouchEnd(event) {
-    const mouseEvent = new MouseEvent('mouseup', {
+    const mouseEvent = this.createPointerEvent('mouseup', event.changedTouches && event.changedTouches[0]);
+    
+    this.handleMouseUp(mouseEvent);
+    event.preventDefault(); // Prevent unwanted clicks
+  }
+
+  /**
+   * Build a mouse event from a touch, keeping the touched element as target
+   */
+  createPointerEvent(type, touch) {
+    const mouseEvent = new MouseEvent(type, {
+      clientX: touch ? touch.clientX : 0,
+      clientY: touch ? touch.clientY : 0,
       bubbles: true,
       cancelable: true,
       view: window
     });
     
-    this.handleMouseUp(mouseEvent);
-    event.preventDefault(); // Prevent unwanted clicks
+    // Synthetic events have no target until dispatched
+    if (touch && touch.target) {
+      Object.defineProperty(mouseEvent, 'target', { value: touch.target });
+    }
+    
+    return mouseEvent;
   }
 
   /**
@@ -630,6 +1175,12 @@ class StellarPoolGame {
   handleKeyDown(event) {
     if (!this.gameState.gameActive) return;
     
+    // Aiming keys depend on the control mode
+    if (!this.gameState.gamePaused && this.controlSystem.handleKeyDown(event)) {
+      event.preventDefault();
+      return;
+    }
+    
     switch (event.key) {
       case 'Escape':
         // Toggle pause
@@ -643,6 +1194,12 @@ class StellarPoolGame {
         }
         break;
         
+      case 'e':
+      case 'E':
+        // Use a collected powerup
+        this.useStoredPowerup();
+        break;
+        
       case 'ArrowLeft':
         // Move camera left
         if (!this.gameState.gamePaused) {
@@ -678,52 +1235,210 @@ class StellarPoolGame {
   }
 
   /**
-   * Show aim line when dragging
+   * Event handler for key releases (flipper launches on release)
    */
-  showAimLine(startPos, currentPos) {
-    // Find or create aim line element
-    let aimLine = document.getElementById('aimLine');
-    if (!aimLine) {
-      aimLine = document.createElement('div');
-      aimLine.id = 'aimLine';
-      document.getElementById('gameContainer').appendChild(aimLine);
+  handleKeyUp(event) {
+    if (!this.gameState.gameActive || this.gameState.gamePaused) return;
+    
+    if (this.controlSystem.handleKeyUp(event)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Refresh the aim line and predicted path for the current aim
+   */
+  updateAimPreview() {
+    if (this.gameState.settings.showAimLine) {
+      this.showAimLine(this.gameState.startPos, this.gameState.currentPos);
     }
     
-    // Calculate line properties
+    if (this.gameState.settings.showTrajectory) {
+      this.showTrajectory();
+    }
+  }
+
+  /**
+   * Show the aim indicator in the chosen pointer style
+   */
+  showAimLine(startPos, currentPos) {
+    // Shot direction and power, shared by every style
     const dx = startPos.x - currentPos.x;
     const dy = startPos.y - currentPos.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
     const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+    const power = Math.min(this.controlSystem.getShotDistance() / this.controlSystem.maxShotDistance, 1);
+    
+    // Anchor the indicator on the star, not on the pointer
+    const star = this.physicsEngine.stars.find(s => s.id === this.gameState.selectedStar);
+    const center = star ? this.controlSystem.getStarScreenPosition(star) : startPos;
+    
+    switch (this.gameState.settings.pointerStyle) {
+      case 'none':
+        // Expert play: no indicator at all
+        this.hideAimLine();
+        break;
+      case 'line':
+        this.hideAimElement('aimOrbit');
+        this.showAimPowerLine(center, angle, power);
+        break;
+      case 'orbital':
+      default:
+        this.hideAimElement('aimLine');
+        this.showAimOrbit(center, angle, power);
+        break;
+    }
+  }
+
+  /**
+   * Find or create an aim indicator element
+   */
+  getAimElement(id) {
+    let element = document.getElementById(id);
+    if (!element) {
+      element = document.createElement('div');
+      element.id = id;
+      document.getElementById('gameContainer').appendChild(element);
+    }
+    return element;
+  }
+
+  /**
+   * Line style: a line from the star whose length and color follow the power
+   */
+  showAimPowerLine(center, angle, power) {
+    const aimLine = this.getAimElement('aimLine');
+    
+    // Green for soft shots, red for full power
+    const hue = Math.round(120 - 120 * power);
     
-    // Set line style
-    aimLine.style.width = `${distance}px`;
-    aimLine.style.left = `${currentPos.x}px`;
-    aimLine.style.top = `${currentPos.y}px`;
+    aimLine.style.width = `${40 + power * 160}px`;
+    aimLine.style.left = `${center.x}px`;
+    aimLine.style.top = `${center.y}px`;
     aimLine.style.transform = `rotate(${angle}deg)`;
+    aimLine.style.background = `linear-gradient(90deg, rgba(255, 255, 255, 0.2), hsl(${hue}, 100%, 55%))`;
     aimLine.style.display = 'block';
   }
 
   /**
-   * Hide aim line
+   * Orbital style: a ring around the star filled by power, with a marker
+   * pointing where the shot goes
+   */
+  showAimOrbit(center, angle, power) {
+    const aimOrbit = this.getAimElement('aimOrbit');
+    
+    let marker = aimOrbit.querySelector('.aim-orbit-marker');
+    if (!marker) {
+      marker = document.createElement('div');
+      marker.classList.add('aim-orbit-marker');
+      aimOrbit.appendChild(marker);
+    }
+    
+    // Fingers cover the star on touch screens, so the ring is larger there
+    aimOrbit.classList.toggle('touch', this.mobileSystem.isMobileDevice);
+    aimOrbit.style.left = `${center.x}px`;
+    aimOrbit.style.top = `${center.y}px`;
+    aimOrbit.style.setProperty('--power', `${Math.round(power * 360)}deg`);
+    aimOrbit.style.display = 'block';
+    marker.style.transform = `rotate(${angle}deg)`;
+  }
+
+  /**
+   * Hide a single aim indicator element
+   */
+  hideAimElement(id) {
+    const element = document.getElementById(id);
+    if (element) {
+      element.style.display = 'none';
+    }
+  }
+
+  /**
+   * Hide every aim indicator
    */
   hideAimLine() {
-    const aimLine = document.getElementById('aimLine');
-    if (aimLine) {
-      aimLine.style.display = 'none';
+    this.hideAimElement('aimLine');
+    this.hideAimElement('aimOrbit');
+  }
+
+  /**
+   * Show the predicted path of the shot being aimed
+   */
+  showTrajectory() {
+    const board = document.getElementById('unifiedBoard');
+    if (!board) return;
+    
+    // Run the real physics rules forward on a copy of the board
+    const dx = this.gameState.startPos.x - this.gameState.currentPos.x;
+    const dy = this.gameState.startPos.y - this.gameState.currentPos.y;
+    const prediction = dx === 0 && dy === 0 ? null : this.physicsEngine.predictTrajectory(
+      this.gameState,
+      this.controlSystem.getShotDistance(),
+      { maxBounces: this.gameState.settings.trajectoryBounces ?? 2 }
+    );
+    const points = prediction ? prediction.points : [];
+    
+    // Reuse existing dots and create only the missing ones
+    const dots = Array.from(board.querySelectorAll('.trajectory-dot'));
+    while (dots.length < points.length) {
+      const dot = document.createElement('div');
+      dot.classList.add('trajectory-dot');
+      board.appendChild(dot);
+      dots.push(dot);
     }
+    
+    // Star elements are anchored at their top-left corner
+    const offset = this.physicsEngine.STAR_RADIUS;
+    dots.forEach((dot, index) => {
+      const point = points[index];
+      if (!point) {
+        dot.style.display = 'none';
+        return;
+      }
+      dot.style.display = 'block';
+      dot.style.left = `${point.x + offset}px`;
+      dot.style.top = `${point.y + offset}px`;
+      dot.classList.toggle('in-hole', prediction.inHole && index === points.length - 1);
+      dot.classList.toggle('swallowed', prediction.swallowed && index === points.length - 1);
+    });
+  }
+
+  /**
+   * Hide the predicted path
+   */
+  hideTrajectory() {
+    document.querySelectorAll('.trajectory-dot').forEach(dot => dot.remove());
   }
 
   /**
    * Event callbacks for physics events
    */
   onStarBounce(starId) {
+    // Count banks for trick-shot bonuses
+    this.scoringSystem.onBounce(starId);
+    
     // Play bounce sound
     this.soundSystem.play('bounce');
   }
 
+  onStarCollision(starIdA, starIdB) {
+    this.scoringSystem.onCollision(starIdA, starIdB);
+    
+    // Play carom sound
+    this.soundSystem.play('bounce');
+  }
+
   onStarInHole(starId) {
-    // Award points
-    this.updateScore(100);
+    // Award points for the pot and any trick (potting keeps the turn)
+    const result = this.scoringSystem.scorePot(starId);
+    this.updateScore(result.total);
+    this.uiManager.updateMultiplier(result.multiplier);
+    this.playerManager.onPot();
+    this.achievementManager.onStarInHole();
+
+    // Keep a playable star selected
+    if (this.gameState.selectedStar === starId) {
+      this.switchActiveStar();
+    }
     
     // Play success sound
     this.soundSystem.play('hole');
@@ -731,13 +1446,20 @@ class StellarPoolGame {
     // Trigger mobile vibration
     this.mobileSystem.onStarInHole();
     
-    // Show notification
-    this.uiManager.showNotification('Star in hole! +100 points', 'success');
+    // Show notification with the itemised points
+    this.uiManager.showNotification(
+      `Star in hole! +${result.total} (${this.scoringSystem.describe(result.items)})`,
+      'success'
+    );
   }
 
   onStarHitMeteorite(starId) {
-    // Penalize points
-    this.updateScore(-50);
+    // Penalize points and break the combo
+    const penalty = this.scoringSystem.scoreMeteoriteHit();
+    this.updateScore(penalty);
+    this.uiManager.updateMultiplier(1);
+    this.gameState.levelStats.meteoriteHits++;
+    this.playerManager.onMeteoriteHit();
     
     // Play explosion sound
     this.soundSystem.play('explosion');
@@ -746,7 +1468,85 @@ class StellarPoolGame {
     this.mobileSystem.onMeteoriteHit();
     
     // Show notification
-    this.uiManager.showNotification('Hit meteorite! -50 points', 'warning');
+    this.uiManager.showNotification(`Hit meteorite! ${penalty} points`, 'warning');
+  }
+
+  onStarSwallowed(starId) {
+    // The star is lost to the black hole and respawns at its start
+    const penalty = this.scoringSystem.scoreSwallowed();
+    this.updateScore(penalty);
+    this.uiManager.updateMultiplier(1);
+    this.soundSystem.play('hole');
+    this.uiManager.showNotification(`Swallowed by a black hole! ${penalty} points`, 'warning');
+  }
+
+  onStarLipOut(starId, holeId) {
+    // Too fast for the hole: it rattles out instead of dropping in
+    const comments = ['Lip-out!', 'Rattled out!', 'So close!', 'Too much pace!'];
+    const lipOuts = this.gameState.levelStats.lipOuts || 0;
+    this.gameState.levelStats.lipOuts = lipOuts + 1;
+    
+    this.soundSystem.play('bounce');
+    this.uiManager.showNotification(comments[lipOuts % comments.length], 'warning');
+  }
+
+  onActiveHoleChanged(holeId) {
+    this.uiManager.showNotification('The active hole has changed!', 'info');
+  }
+
+  onStarTeleported(starId, entranceId, exitId) {
+    this.boardRenderer.flashWormholes(entranceId, exitId);
+    this.soundSystem.play('powerup');
+  }
+
+  onBumperHit(bumperId) {
+    this.boardRenderer.flashBumper(bumperId);
+  }
+
+  onMeteoriteSmashed(starId, meteoriteId) {
+    // Power stars break meteorites without any penalty
+    this.boardRenderer.removeElement(meteoriteId);
+    this.soundSystem.play('explosion');
+    this.uiManager.showNotification('Meteorite smashed!', 'success');
+  }
+
+  onTurnPassed() {
+    // The next player starts with a clean aim
+    this.cancelAim();
+    this.uiManager.updatePlayers(this.playerManager);
+    this.uiManager.showNotification(`${this.playerManager.currentPlayer.name}'s turn`, 'info');
+  }
+
+  onShieldAbsorbed(starId) {
+    // The shield takes the hit instead of the score
+    this.soundSystem.play('bounce');
+    this.uiManager.showNotification('Shield absorbed the impact!', 'info');
+
+    // A shield is spent after one hit
+    const index = this.gameState.powerups.findIndex(powerup => powerup.type === 'shield');
+    if (index !== -1) {
+      this.gameState.powerups.splice(index, 1);
+      this.uiManager.updatePowerupDisplay('shield', false);
+    }
+    this.replayRecorder.recordEffects();
+  }
+
+  onPowerupCollected(type) {
+    const inventory = this.gameState.powerupInventory;
+
+    // Keep a limited stock; extra pickups still grant points
+    if (inventory.length < this.powerupSystem.MAX_INVENTORY) {
+      inventory.push(type);
+      this.uiManager.showNotification(`${POWERUP_TYPES[type].label} collected! Press E to use`, 'success');
+    } else {
+      this.updateScore(25);
+      this.scoringSystem.record('pickup', 25);
+      this.uiManager.showNotification('Powerup stock full! +25 points', 'info');
+    }
+
+    this.soundSystem.play('powerup');
+    this.mobileSystem.onPowerupCollected();
+    this.uiManager.updateControlButtons(this.gameState);
   }
 
   /**
@@ -757,8 +1557,7 @@ class StellarPoolGame {
     this.gameState.gameActive = false;
     
     // Clear timers
-    clearInterval(this.timerInterval);
-    cancelAnimationFrame(this.gameLoopId);
+    this.stopGameLoop();
     
     // Clean up subsystems
     this.soundSystem.cleanup();
@@ -774,6 +1573,7 @@ class StellarPoolGame {
     document.removeEventListener('touchmove', this.handleTouchMove);
     document.removeEventListener('touchend', this.handleTouchEnd);
     document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('keyup', this.handleKeyUp);
     
     console.log('🧹 Game resources cleaned up');
   }
@@ -157,7 +157,7 @@ export class AchievementManager {
         description: "Usa todos los tipos de power-ups",
         icon: "🚀",
         type: "special",
-        condition: { type: "powerups_used", target: ["slowmo", "shield", "magnet"] },
+        condition: { type: "powerups_used", target: ["slowTime", "shield", "magnet"] },
       },
       {
         id: "star_collector",
@@ -592,9 +592,4 @@ export class AchievementManager {
     console.log("🏆 [ACHIEVEMENTS] Game Over - actualizando estadísticas finales")
     // Aquí podrías añadir lógica específica para cuando termina el juego
   }
-
-  onLevelComplete() {
-    console.log("🏆 [ACHIEVEMENTS] Nivel completado")
-    // Método ya existe arriba, pero añadido para evitar errores
-  }
 }
\ No newline at end of file
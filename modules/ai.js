@@ -0,0 +1,240 @@
+/**
+ * AI - Oponente Controlado por el Ordenador
+ *
+ * Juega su turno como un jugador más:
+ * - Genera tiros candidatos (dirección y potencia) para cada estrella disponible
+ * - Simula cada candidato varias veces con el error de la dificultad y puntúa el resultado medio
+ * - Elige el mejor y le añade un error controlado según la dificultad
+ * - Dispara por el mismo camino que un humano (launchSelectedStar → shootStar)
+ */
+
+export const AI_DIFFICULTIES = {
+  easy: {
+    label: "Easy",
+    angles: 12,
+    powers: [0.35, 0.7],
+    aimError: 0.15, // radianes
+    powerError: 0.25, // fracción de la potencia
+    samples: 4, // Simulaciones por candidato para estimar el resultado esperado
+    thinkTime: 900, // ms mínimos antes de disparar
+  },
+  normal: {
+    label: "Normal",
+    angles: 24,
+    powers: [0.3, 0.55, 0.8],
+    aimError: 0.06,
+    powerError: 0.12,
+    samples: 3,
+    thinkTime: 700,
+  },
+  hard: {
+    label: "Hard",
+    angles: 48,
+    powers: [0.25, 0.45, 0.65, 0.85, 1],
+    aimError: 0.015,
+    powerError: 0.04,
+    samples: 2,
+    thinkTime: 500,
+  },
+}
+
+export class AIOpponent {
+  constructor(game) {
+    console.log("🤖 [AI] Inicializando oponente...")
+
+    this.game = game
+    this.plan = null // Planificación del turno en curso
+
+    // Constantes
+    this.SIMULATION_STEPS = 600 // Pasos máximos por tiro simulado (10 s)
+    this.PLANNING_BUDGET = 8 // ms de cálculo por frame
+    this.POT_VALUE = 100
+    this.METEORITE_PENALTY = 50
+    this.BLACK_HOLE_PENALTY = 75
+    this.PICKUP_VALUE = 25
+    this.DISTANCE_WEIGHT = 0.05 // Desempate: acercar la estrella al agujero activo
+
+    console.log("✅ [AI] Oponente inicializado")
+  }
+
+  /**
+   * Olvida cualquier tiro a medio planificar
+   */
+  reset() {
+    this.plan = null
+  }
+
+  /**
+   * Avanza el turno de la IA: planifica poco a poco y dispara cuando termina
+   */
+  update(deltaTime) {
+    const game = this.game
+    const player = game.playerManager.currentPlayer
+
+    if (player.type !== "ai" || game.gameState.levelTransition) {
+      this.reset()
+      return
+    }
+
+    // Esperar a que la mesa esté quieta
+    if (game.playerManager.isTurnInProgress() || game.physicsEngine.isAnyStarMoving()) {
+      this.reset()
+      return
+    }
+
+    if (!this.plan) {
+      this.plan = this.createPlan(player.difficulty)
+      if (!this.plan) return
+    }
+
+    this.plan.elapsed += deltaTime
+    this.evaluateCandidates()
+
+    const done = this.plan.nextCandidate >= this.plan.candidates.length
+    if (done && this.plan.elapsed >= this.plan.settings.thinkTime) {
+      this.takeShot()
+    }
+  }
+
+  /**
+   * Genera los tiros candidatos para todas las estrellas que se pueden disparar
+   */
+  createPlan(difficulty) {
+    const settings = AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.normal
+    const maxDistance = this.game.controlSystem.maxShotDistance
+    const stars = this.game.physicsEngine.stars.filter((star) => !star.moving && !star.inHole)
+    if (stars.length === 0) return null
+
+    const candidates = []
+    stars.forEach((star) => {
+      for (let i = 0; i < settings.angles; i++) {
+        const angle = (i / settings.angles) * Math.PI * 2
+        settings.powers.forEach((power) => {
+          candidates.push({ starId: star.id, angle, distance: power * maxDistance })
+        })
+      }
+    })
+
+    console.log(`🤖 [AI] Evaluando ${candidates.length} tiros (${settings.label})`)
+
+    // Generador propio: planificar no gasta la secuencia de la partida
+    const random = this.game.random.fork()
+    return { settings, random, candidates, nextCandidate: 0, best: null, elapsed: 0 }
+  }
+
+  /**
+   * Simula candidatos hasta agotar el presupuesto de tiempo del frame
+   */
+  evaluateCandidates() {
+    const plan = this.plan
+    const start = performance.now()
+
+    while (plan.nextCandidate < plan.candidates.length) {
+      const candidate = plan.candidates[plan.nextCandidate++]
+      candidate.score = this.evaluateCandidate(candidate, plan)
+
+      if (!plan.best || candidate.score > plan.best.score) {
+        plan.best = candidate
+      }
+
+      if (performance.now() - start >= this.PLANNING_BUDGET) break
+    }
+  }
+
+  /**
+   * Puntuación media del candidato disparado con el error de la dificultad
+   */
+  evaluateCandidate(candidate, plan) {
+    const { settings, random } = plan
+    let total = 0
+
+    for (let i = 0; i < settings.samples; i++) {
+      total += this.simulateShot(this.applyError(candidate, settings, random), random)
+    }
+    return total / settings.samples
+  }
+
+  /**
+   * Tiro con el error de apuntado y de potencia propio de la dificultad
+   */
+  applyError(shot, settings, random) {
+    return {
+      starId: shot.starId,
+      angle: shot.angle + random.range(-settings.aimError, settings.aimError),
+      distance: shot.distance * (1 + random.range(-settings.powerError, settings.powerError)),
+    }
+  }
+
+  /**
+   * Puntuación de un tiro según una copia de la simulación
+   */
+  simulateShot(candidate, random) {
+    let pots = 0
+    let meteoriteHits = 0
+    let pickups = 0
+    let swallowed = 0
+    const simulation = this.game.physicsEngine.createSimulation(
+      {
+        onStarInHole: () => pots++,
+        onStarHitMeteorite: () => meteoriteHits++,
+        onStarSwallowed: () => swallowed++,
+        onPowerupCollected: () => pickups++,
+      },
+      random,
+    )
+
+    simulation.shootStar(this.createShotState(candidate), candidate.distance, 0)
+    for (let i = 0; i < this.SIMULATION_STEPS && simulation.isAnyStarMoving(); i++) {
+      simulation.step()
+    }
+
+    let score =
+      pots * this.POT_VALUE -
+      meteoriteHits * this.METEORITE_PENALTY -
+      swallowed * this.BLACK_HOLE_PENALTY +
+      pickups * this.PICKUP_VALUE
+
+    // Sin premio, preferir dejar la estrella cerca del agujero activo
+    const star = simulation.stars.find((s) => s.id === candidate.starId)
+    const hole = simulation.holes.find((h) => h.isActive)
+    if (pots === 0 && star && hole) {
+      score -= Math.hypot(star.x - hole.x, star.y - hole.y) * this.DISTANCE_WEIGHT
+    }
+
+    return score
+  }
+
+  /**
+   * Estado de apuntado equivalente al arrastre de un humano
+   */
+  createShotState(shot) {
+    return {
+      selectedStar: shot.starId,
+      startPos: { x: 0, y: 0 },
+      currentPos: { x: -Math.cos(shot.angle) * shot.distance, y: -Math.sin(shot.angle) * shot.distance },
+    }
+  }
+
+  /**
+   * Dispara el mejor candidato con el error propio de la dificultad
+   */
+  takeShot() {
+    const { settings, best } = this.plan
+    const game = this.game
+
+    this.reset()
+    if (!best) return
+
+    const shot = this.applyError(best, settings, game.random)
+
+    console.log(
+      `🤖 [AI] Dispara ${shot.starId} (esperado ${best.score.toFixed(1)}, ángulo ${shot.angle.toFixed(2)}, distancia ${shot.distance.toFixed(0)})`,
+    )
+
+    const shotState = this.createShotState(shot)
+    game.selectStar(shot.starId)
+    game.gameState.startPos = shotState.startPos
+    game.gameState.currentPos = shotState.currentPos
+    game.launchSelectedStar(shot.distance, settings.thinkTime)
+  }
+}
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * CONTROLS - Sistema de Control
+ *
+ * Traduce la entrada del jugador en disparos según el modo elegido:
+ * - Arrastre: tirachinas, la potencia depende de la distancia arrastrada
+ * - Flipper: medidor de potencia oscilante, el arrastre solo fija la dirección
+ * - Ratón, táctil y teclado comparten el mismo flujo de apuntado
+ */
+
+export const CONTROL_MODES = ["flipper", "drag"]
+
+export class ControlSystem {
+  constructor(game) {
+    console.log("🎮 [CONTROLS] Inicializando sistema de control...")
+
+    this.game = game
+    this.source = null // "pointer" o "keyboard" mientras se apunta
+    this.meterValue = 0
+    this.meterTime = 0
+    this.meterCharging = false
+    this.keyboardAngle = 0
+    this.keyboardDistance = 100
+
+    // Constantes
+    this.MIN_DRAG_DISTANCE = 10
+    this.METER_PERIOD = 1200 // ms de un ciclo completo del medidor (0 → 1 → 0)
+    this.KEYBOARD_ROTATION_STEP = Math.PI / 36 // 5° por pulsación
+    this.KEYBOARD_POWER_STEP = 10
+
+    console.log("✅ [CONTROLS] Sistema de control inicializado")
+  }
+
+  /**
+   * Modo de control elegido en la configuración
+   */
+  get mode() {
+    const mode = this.game.gameState.settings?.controlMode
+    return CONTROL_MODES.includes(mode) ? mode : "flipper"
+  }
+
+  /**
+   * Distancia de arrastre equivalente a la potencia máxima
+   */
+  get maxShotDistance() {
+    const physics = this.game.physicsEngine
+    return physics.MAX_VELOCITY / physics.POWER_FACTOR
+  }
+
+  /**
+   * ¿Se está apuntando un disparo?
+   */
+  isAiming() {
+    return this.source !== null
+  }
+
+  /**
+   * Empieza a apuntar con la estrella seleccionada
+   */
+  beginAim(position, source) {
+    const gameState = this.game.gameState
+
+    this.source = source
+    this.meterValue = 0
+    this.meterTime = 0
+    this.meterCharging = source === "pointer" && this.mode === "flipper"
+
+    gameState.dragging = true
+    gameState.dragStartTime = performance.now()
+    gameState.startPos = { x: position.x, y: position.y }
+    gameState.currentPos = { x: position.x, y: position.y }
+  }
+
+  /**
+   * Actualiza la posición del puntero mientras se apunta
+   */
+  moveAim(position) {
+    if (this.source !== "pointer") return
+
+    this.game.gameState.currentPos = { x: position.x, y: position.y }
+  }
+
+  /**
+   * Suelta el disparo apuntado (si tiene dirección y potencia)
+   */
+  releaseAim() {
+    if (!this.isAiming()) return false
+
+    const gameState = this.game.gameState
+    const dx = gameState.startPos.x - gameState.currentPos.x
+    const dy = gameState.startPos.y - gameState.currentPos.y
+    const pullDistance = Math.sqrt(dx * dx + dy * dy)
+    const shotDistance = this.getShotDistance()
+    const dragTime = performance.now() - gameState.dragStartTime
+
+    this.cancelAim()
+
+    // Sin dirección o sin potencia no hay disparo
+    if (pullDistance <= this.MIN_DRAG_DISTANCE || shotDistance <= this.MIN_DRAG_DISTANCE) {
+      return false
+    }
+
+    return this.game.launchSelectedStar(shotDistance, dragTime)
+  }
+
+  /**
+   * Abandona el disparo apuntado sin lanzar
+   */
+  cancelAim() {
+    this.source = null
+    this.meterCharging = false
+    this.meterValue = 0
+    this.game.gameState.dragging = false
+    this.game.uiManager.updatePowerMeter(null)
+    this.game.hideAimPreview()
+  }
+
+  /**
+   * Distancia de arrastre que se usará para el disparo según el modo
+   */
+  getShotDistance() {
+    const gameState = this.game.gameState
+
+    if (this.mode === "flipper") {
+      return this.meterValue * this.maxShotDistance
+    }
+
+    const dx = gameState.startPos.x - gameState.currentPos.x
+    const dy = gameState.startPos.y - gameState.currentPos.y
+    return Math.sqrt(dx * dx + dy * dy)
+  }
+
+  /**
+   * Avanza el medidor de potencia del modo flipper
+   */
+  update(deltaTime) {
+    if (!this.isAiming() || this.mode !== "flipper") return
+
+    if (this.meterCharging) {
+      // Onda triangular: sube hasta el máximo y vuelve a bajar
+      this.meterTime += deltaTime
+      const phase = (this.meterTime % this.METER_PERIOD) / this.METER_PERIOD
+      this.meterValue = 1 - Math.abs(1 - 2 * phase)
+    }
+
+    this.game.uiManager.updatePowerMeter(this.meterValue)
+  }
+
+  /**
+   * Maneja las teclas de apuntado. Devuelve true si la tecla se ha usado.
+   *
+   * A/D giran la dirección. En modo arrastre W/S ajustan la potencia y
+   * Enter dispara; en modo flipper mantener Enter carga el medidor y
+   * soltarlo dispara.
+   */
+  handleKeyDown(event) {
+    switch (event.key) {
+      case "a":
+      case "A":
+        this.rotateKeyboardAim(-this.KEYBOARD_ROTATION_STEP)
+        return true
+
+      case "d":
+      case "D":
+        this.rotateKeyboardAim(this.KEYBOARD_ROTATION_STEP)
+        return true
+
+      case "w":
+      case "W":
+        if (this.mode !== "drag") return false
+        this.changeKeyboardPower(this.KEYBOARD_POWER_STEP)
+        return true
+
+      case "s":
+      case "S":
+        if (this.mode !== "drag") return false
+        this.changeKeyboardPower(-this.KEYBOARD_POWER_STEP)
+        return true
+
+      case "Enter":
+        if (event.repeat) return true
+        if (!this.startKeyboardAim()) return true
+
+        if (this.mode === "flipper") {
+          this.meterCharging = true
+        } else {
+          this.releaseAim()
+        }
+        return true
+    }
+
+    return false
+  }
+
+  /**
+   * Suelta el disparo cargado con el teclado en modo flipper
+   */
+  handleKeyUp(event) {
+    if (event.key !== "Enter") return false
+    if (this.source !== "keyboard" || !this.meterCharging) return false
+
+    this.releaseAim()
+    return true
+  }
+
+  /**
+   * Gira la dirección de apuntado con teclado
+   */
+  rotateKeyboardAim(delta) {
+    this.keyboardAngle = (this.keyboardAngle + delta) % (Math.PI * 2)
+    if (this.startKeyboardAim()) {
+      this.updateKeyboardAim()
+    }
+  }
+
+  /**
+   * Ajusta la potencia del modo arrastre con teclado
+   */
+  changeKeyboardPower(delta) {
+    this.keyboardDistance = Math.min(
+      Math.max(this.keyboardDistance + delta, this.MIN_DRAG_DISTANCE * 2),
+      this.maxShotDistance,
+    )
+    if (this.startKeyboardAim()) {
+      this.updateKeyboardAim()
+    }
+  }
+
+  /**
+   * Empieza a apuntar con teclado desde la estrella seleccionada
+   */
+  startKeyboardAim() {
+    if (this.source === "keyboard") return true
+    if (this.source === "pointer") return false
+
+    const star = this.getSelectedStar()
+    if (!star) return false
+
+    this.beginAim(this.getStarScreenPosition(star), "keyboard")
+    this.updateKeyboardAim()
+    return true
+  }
+
+  /**
+   * Coloca el punto de arrastre virtual según el ángulo y la potencia
+   */
+  updateKeyboardAim() {
+    const gameState = this.game.gameState
+
+    // En modo flipper la línea solo indica la dirección
+    const distance = this.mode === "flipper" ? this.maxShotDistance / 2 : this.keyboardDistance
+
+    gameState.currentPos = {
+      x: gameState.startPos.x - Math.cos(this.keyboardAngle) * distance,
+      y: gameState.startPos.y - Math.sin(this.keyboardAngle) * distance,
+    }
+  }
+
+  /**
+   * Estrella seleccionada si está lista para disparar
+   */
+  getSelectedStar() {
+    const physics = this.game.physicsEngine
+    const star = physics.stars.find((s) => s.id === this.game.gameState.selectedStar)
+    if (!star || star.moving || star.inHole) return null
+    if (!this.game.canShoot()) return null
+    return star
+  }
+
+  /**
+   * Centro de una estrella en coordenadas de pantalla
+   */
+  getStarScreenPosition(star) {
+    const element = this.game.boardRenderer.getElement(star.id)
+    if (element && typeof element.getBoundingClientRect === "function") {
+      const rect = element.getBoundingClientRect()
+      return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 }
+    }
+    return { x: star.x, y: star.y }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * DAILY - Reto Diario
+ *
+ * Un nivel nuevo cada día, igual para todos los jugadores:
+ * - Nivel generado a partir de una semilla derivada de la fecha
+ * - Un único intento puntuado por día
+ * - Resultado y racha de días guardados con StorageManager
+ * - Resumen en texto con emojis para compartir y comparar
+ */
+
+import { GENERATOR_VERSION } from "./levels.js"
+import { SeededRandom } from "./random.js"
+
+export class DailyChallenge {
+  constructor(game) {
+    console.log("📅 [DAILY] Inicializando reto diario...")
+
+    this.game = game
+    this.lastShareText = null
+
+    // Constantes
+    this.LEVEL_NUMBER = 6 // Dificultad del nivel generado
+    this.BOARD = { width: 1600, height: 800 }
+    this.TIME_LIMIT = 90 // Mismo tiempo para todos, sin importar la configuración
+
+    console.log("✅ [DAILY] Reto diario inicializado")
+  }
+
+  /**
+   * Fecha UTC en formato AAAA-MM-DD (el mismo reto en todas las zonas horarias)
+   */
+  getDateKey(date = new Date()) {
+    const month = String(date.getUTCMonth() + 1).padStart(2, "0")
+    const day = String(date.getUTCDate()).padStart(2, "0")
+    return `${date.getUTCFullYear()}-${month}-${day}`
+  }
+
+  /**
+   * Semilla del reto de un día (la misma en todos los navegadores)
+   */
+  getSeed(dateKey) {
+    return SeededRandom.normalizeSeed(`stellar-pool-daily-${dateKey}`)
+  }
+
+  /**
+   * Construye el nivel del día con su propio generador. Con la versión del
+   * generador guardada en el resultado se vuelve a obtener el mismo nivel.
+   */
+  buildLevel(dateKey, version = GENERATOR_VERSION) {
+    const random = new SeededRandom(this.getSeed(dateKey))
+    const level = this.game.levelLoader.generateLevel(this.LEVEL_NUMBER, random, this.BOARD, version)
+    if (!level) return null
+
+    level.name = `Daily ${dateKey}`
+    return level
+  }
+
+  /**
+   * Empieza el intento de hoy, o muestra el resultado si ya se jugó
+   */
+  start() {
+    const dateKey = this.getDateKey()
+    const storage = this.game.storageManager
+    const result = storage.loadDailyResult(dateKey)
+
+    if (result) {
+      console.log(`📅 [DAILY] El reto ${dateKey} ya se ha jugado`)
+      alert(`Today's challenge is done! Come back tomorrow.\n\n${this.getShareText(result, storage.loadDailyStreak())}`)
+      return false
+    }
+
+    console.log(`📅 [DAILY] Empezando el reto ${dateKey}`)
+    const level = this.buildLevel(dateKey)
+
+    // El intento cuenta desde que empieza: abandonar no da otra oportunidad
+    storage.saveDailyResult(dateKey, {
+      dateKey,
+      generatorVersion: level.generatorVersion,
+      completed: false,
+      finished: false,
+      score: 0,
+      shots: 0,
+      time: 0,
+    })
+
+    const settings = { ...this.game.menuSystem.getGameSettings(), timeLimit: this.TIME_LIMIT }
+    this.game.menuSystem.hide()
+    this.game.startGame(settings, {
+      mode: "daily",
+      seed: this.getSeed(dateKey),
+      level,
+      dailyDate: dateKey,
+    })
+    return true
+  }
+
+  /**
+   * Guarda el resultado del intento, actualiza la racha y devuelve el resumen
+   */
+  finish(dateKey, stats) {
+    const storage = this.game.storageManager
+    const result = {
+      dateKey,
+      generatorVersion: storage.loadDailyResult(dateKey)?.generatorVersion ?? GENERATOR_VERSION,
+      completed: stats.completed,
+      finished: true,
+      score: stats.score,
+      shots: stats.shots,
+      par: stats.par,
+      time: stats.time,
+      potted: stats.potted,
+      stars: stats.stars,
+    }
+
+    storage.saveDailyResult(dateKey, result)
+    const streak = result.completed ? this.updateStreak(dateKey) : storage.loadDailyStreak()
+
+    console.log(`📅 [DAILY] Reto ${dateKey}: ${result.score} pts, ${result.shots} tiros, racha ${streak.current}`)
+    this.lastShareText = this.getShareText(result, streak)
+    return { ...result, streak, shareText: this.lastShareText }
+  }
+
+  /**
+   * Alarga la racha si ayer también se completó el reto
+   */
+  updateStreak(dateKey) {
+    const storage = this.game.storageManager
+    const streak = storage.loadDailyStreak()
+    if (streak.lastDate === dateKey) return streak
+
+    const yesterday = new Date(`${dateKey}T12:00:00Z`)
+    yesterday.setUTCDate(yesterday.getUTCDate() - 1)
+
+    streak.current = streak.lastDate === this.getDateKey(yesterday) ? streak.current + 1 : 1
+    streak.best = Math.max(streak.best, streak.current)
+    streak.lastDate = dateKey
+
+    storage.saveDailyStreak(streak)
+    return streak
+  }
+
+  /**
+   * Texto para compartir el resultado (sin nada que desvele el nivel)
+   */
+  getShareText(result, streak) {
+    const potted = result.potted ?? 0
+    const stars = result.stars ?? 0
+    const starRow = "🟡".repeat(potted) + "⚫".repeat(Math.max(stars - potted, 0))
+    const minutes = Math.floor(result.time / 60)
+    const seconds = String(result.time % 60).padStart(2, "0")
+
+    const lines = [
+      `🌌 Stellar Pool Daily ${result.dateKey}`,
+      result.completed ? `✅ Cleared ${starRow}` : `❌ Not cleared ${starRow}`,
+      `🎯 ${result.shots} shots${result.par ? ` (par ${result.par})` : ""}`,
+      `🏆 ${result.score} pts`,
+      `⏱️ ${minutes}:${seconds}`,
+    ]
+    if (streak?.lastDate === result.dateKey) {
+      lines.push(`🔥 ${streak.current} day streak`)
+    }
+
+    return lines.join("\n")
+  }
+
+  /**
+   * Copia el texto al portapapeles si el navegador lo permite
+   */
+  copyShareText(text = this.lastShareText) {
+    if (!text) return
+
+    const fallback = (error) => {
+      console.warn("⚠️ [DAILY] No se pudo copiar al portapapeles:", error)
+      prompt("Copy your result:", text)
+    }
+
+    if (!navigator.clipboard) {
+      fallback("API no disponible")
+      return
+    }
+
+    navigator.clipboard
+      .writeText(text)
+      .then(() => this.game.uiManager.showNotification("Result copied to clipboard!", "success"))
+      .catch(fallback)
+  }
+}
\ No newline at end of file
@@ -0,0 +1,837 @@
+/**
+ * LEVEL EDITOR - Editor de Niveles
+ *
+ * Permite diseñar niveles sobre el tablero sin editar JSON a mano:
+ * - Colocar, arrastrar y eliminar estrellas, agujeros, meteoritos, fuentes de gravedad
+ *   parejas de agujeros de gusano y obstáculos (muros, bumpers y asteroides)
+ * - Marcar agujeros activos y definir velocidades de meteoritos
+ * - Dar movimiento a los agujeros y elegir el calendario de agujero activo
+ * - Probar el nivel al instante con el motor de física
+ * - Exportar e importar el archivo del nivel
+ */
+
+import { ACTIVE_SCHEDULE_MODES, HOLE_MOTION_TYPES, STAR_TYPES } from "./levels.js"
+import { GRAVITY_SOURCE_TYPES, OBSTACLE_TYPES } from "./physics.js"
+
+export class LevelEditor {
+  constructor(game) {
+    console.log("🛠️ [EDITOR] Inicializando editor de niveles...")
+
+    this.game = game
+    this.active = false
+    this.level = null
+    this.tool = "select"
+    this.starType = STAR_TYPES[0]
+    this.selectedId = null
+    this.drag = null
+    this.domElements = {}
+
+    // Constantes
+    this.WORMHOLE_PAIR_OFFSET = 200 // px entre los dos extremos de una pareja nueva
+    this.OBSTACLE_SIZE = 60 // px de los muros y asteroides nuevos
+    this.SCHEDULE_INTERVAL = 8 // Segundos por defecto del calendario por tiempo
+
+    this.initializeElements()
+    this.setupEventListeners()
+
+    console.log("✅ [EDITOR] Editor de niveles inicializado")
+  }
+
+  /**
+   * Busca los elementos DOM del panel del editor
+   */
+  initializeElements() {
+    const elementIds = [
+      "editorPanel",
+      "unifiedBoard",
+      "editorStarType",
+      "editorLevelName",
+      "editorBoardWidth",
+      "editorBoardHeight",
+      "editorTimeBonus",
+      "editorParShots",
+      "editorShotBudget",
+      "editorSchedule",
+      "editorScheduleInterval",
+      "editorProperties",
+      "editorTestButton",
+      "editorExportButton",
+      "editorImportButton",
+      "editorImportInput",
+      "editorExitButton",
+    ]
+
+    elementIds.forEach((id) => {
+      this.domElements[id] = document.getElementById(id)
+      if (!this.domElements[id]) {
+        console.warn(`⚠️ [EDITOR] Elemento no encontrado: ${id}`)
+      }
+    })
+
+    this.domElements.toolButtons = Array.from(document.querySelectorAll(".editor-tool"))
+  }
+
+  /**
+   * Configura los listeners del panel y del tablero
+   */
+  setupEventListeners() {
+    const { unifiedBoard: board } = this.domElements
+
+    this.domElements.toolButtons.forEach((button) => {
+      button.addEventListener("click", () => this.setTool(button.dataset.tool))
+    })
+
+    this.domElements.editorStarType?.addEventListener("change", (e) => {
+      this.starType = e.target.value
+    })
+
+    // Propiedades generales del nivel
+    const levelFields = [
+      "editorLevelName",
+      "editorBoardWidth",
+      "editorBoardHeight",
+      "editorTimeBonus",
+      "editorParShots",
+      "editorShotBudget",
+      "editorSchedule",
+      "editorScheduleInterval",
+    ]
+    levelFields.forEach((id) => {
+      this.domElements[id]?.addEventListener("change", () => this.readLevelFields())
+    })
+
+    this.domElements.editorTestButton?.addEventListener("click", () => this.testPlay())
+    this.domElements.editorExportButton?.addEventListener("click", () => this.exportLevel())
+    this.domElements.editorImportButton?.addEventListener("click", () => this.domElements.editorImportInput?.click())
+    this.domElements.editorImportInput?.addEventListener("change", (e) => this.importLevel(e.target.files[0]))
+    this.domElements.editorExitButton?.addEventListener("click", () => this.close())
+
+    if (board) {
+      board.addEventListener("mousedown", (e) => this.handlePointerDown(e, e))
+      board.addEventListener(
+        "touchstart",
+        (e) => {
+          if (e.touches[0]) this.handlePointerDown(e, e.touches[0])
+        },
+        { passive: false },
+      )
+    }
+
+    document.addEventListener("mousemove", (e) => this.handlePointerMove(e, e))
+    document.addEventListener(
+      "touchmove",
+      (e) => {
+        if (e.touches[0]) this.handlePointerMove(e, e.touches[0])
+      },
+      { passive: false },
+    )
+    document.addEventListener("mouseup", () => this.handlePointerUp())
+    document.addEventListener("touchend", () => this.handlePointerUp())
+    document.addEventListener("keydown", (e) => this.handleKeyDown(e))
+  }
+
+  /**
+   * Abre el editor con un nivel (por defecto, una copia del primero)
+   */
+  open(level = null) {
+    console.log("🛠️ [EDITOR] Abriendo editor...")
+
+    this.level = level
+      ? this.game.levelLoader.normalizeLevel(level)
+      : this.game.levelLoader.getLevel(1)
+    this.active = true
+    this.selectedId = null
+
+    this.game.menuSystem.hide()
+    if (this.domElements.editorPanel) {
+      this.domElements.editorPanel.style.display = "flex"
+    }
+    this.domElements.unifiedBoard?.classList.add("editing")
+
+    this.writeLevelFields()
+    this.render()
+  }
+
+  /**
+   * Cierra el editor y vuelve al menú principal
+   */
+  close() {
+    console.log("🛠️ [EDITOR] Cerrando editor")
+
+    this.hidePanel()
+    this.game.menuSystem.show()
+  }
+
+  /**
+   * Oculta el panel sin volver al menú (p. ej. para probar el nivel)
+   */
+  hidePanel() {
+    this.active = false
+    this.drag = null
+
+    if (this.domElements.editorPanel) {
+      this.domElements.editorPanel.style.display = "none"
+    }
+    this.domElements.unifiedBoard?.classList.remove("editing")
+  }
+
+  /**
+   * Cambia la herramienta activa
+   */
+  setTool(tool) {
+    this.tool = tool
+    this.domElements.toolButtons.forEach((button) => {
+      button.classList.toggle("active", button.dataset.tool === tool)
+    })
+    console.log(`🛠️ [EDITOR] Herramienta: ${tool}`)
+  }
+
+  /**
+   * Convierte coordenadas de pantalla a coordenadas del tablero
+   */
+  toBoardPosition(point) {
+    const rect = this.domElements.unifiedBoard.getBoundingClientRect()
+    return {
+      x: Math.round(point.clientX - rect.left),
+      y: Math.round(point.clientY - rect.top),
+    }
+  }
+
+  /**
+   * Busca una entidad del nivel por id
+   */
+  findEntity(id) {
+    const collections = [
+      ["star", this.level.stars],
+      ["hole", this.level.holes],
+      ["meteorite", this.level.meteorites],
+      ["gravity", this.level.gravitySources],
+      ["wormhole", this.level.wormholes],
+      ["obstacle", this.level.obstacles],
+    ]
+
+    for (const [kind, list] of collections) {
+      const entity = list.find((item) => item.id === id)
+      if (entity) return { kind, list, entity }
+    }
+    return null
+  }
+
+  /**
+   * Genera un id libre para un nuevo tipo de entidad
+   */
+  nextId(kind) {
+    let index = this.getCollection(kind).length + 1
+    while (this.findEntity(`${kind}${index}`)) index++
+    return `${kind}${index}`
+  }
+
+  /**
+   * Devuelve el array del nivel para un tipo de entidad
+   */
+  getCollection(kind) {
+    switch (kind) {
+      case "star":
+        return this.level.stars
+      case "hole":
+        return this.level.holes
+      case "meteorite":
+        return this.level.meteorites
+      case "gravity":
+        return this.level.gravitySources
+      case "wormhole":
+        return this.level.wormholes
+      case "obstacle":
+        return this.level.obstacles
+      default:
+        return []
+    }
+  }
+
+  /**
+   * Añade una entidad nueva en la posición indicada
+   */
+  addEntity(kind, position) {
+    const entity = { id: this.nextId(kind), x: position.x, y: position.y }
+
+    switch (kind) {
+      case "star":
+        entity.type = this.starType
+        break
+      case "hole":
+        entity.active = false
+        break
+      case "meteorite":
+        entity.speed = 1
+        break
+      case "gravity":
+        entity.type = Object.keys(GRAVITY_SOURCE_TYPES)[0]
+        break
+      case "wormhole":
+        entity.exitAngle = 0
+        break
+      case "obstacle":
+        this.setObstacleType(entity, Object.keys(OBSTACLE_TYPES)[0])
+        break
+    }
+
+    this.getCollection(kind).push(entity)
+    console.log(`➕ [EDITOR] ${entity.id} añadido en (${entity.x}, ${entity.y})`)
+
+    if (kind === "wormhole") {
+      this.addWormholePair(entity)
+    }
+    return entity
+  }
+
+  /**
+   * Los agujeros de gusano se crean por parejas: la salida aparece al lado
+   */
+  addWormholePair(entrance) {
+    const exit = {
+      id: this.nextId("wormhole"),
+      x: Math.min(entrance.x + this.WORMHOLE_PAIR_OFFSET, this.level.board.width - this.WORMHOLE_PAIR_OFFSET / 2),
+      y: entrance.y,
+      pair: entrance.id,
+      exitAngle: 0,
+    }
+    entrance.pair = exit.id
+
+    this.level.wormholes.push(exit)
+    console.log(`➕ [EDITOR] ${exit.id} enlazado con ${entrance.id}`)
+  }
+
+  /**
+   * Cambia el tipo de un obstáculo y le da la forma por defecto de ese tipo
+   */
+  setObstacleType(obstacle, type) {
+    const size = this.OBSTACLE_SIZE
+    obstacle.type = type
+    delete obstacle.points
+    delete obstacle.radius
+
+    if (type === "wall") {
+      obstacle.points = [
+        { x: 0, y: 0 },
+        { x: size * 2, y: 0 },
+      ]
+    } else if (type === "polygon") {
+      obstacle.points = [
+        { x: 0, y: -size / 2 },
+        { x: size / 2, y: size / 2 },
+        { x: -size / 2, y: size / 2 },
+      ]
+    }
+  }
+
+  /**
+   * Enlaza un agujero de gusano con otro. Las parejas siguen siendo mutuas:
+   * la antigua pareja de cada uno queda enlazada con la del otro
+   */
+  setWormholePair(wormhole, pairId) {
+    const newPair = this.level.wormholes.find((other) => other.id === pairId)
+    if (!newPair || newPair === wormhole || wormhole.pair === pairId) return
+
+    const oldPair = this.level.wormholes.find((other) => other.id === wormhole.pair)
+    const abandoned = this.level.wormholes.find((other) => other.id === newPair.pair)
+
+    wormhole.pair = newPair.id
+    newPair.pair = wormhole.id
+    if (oldPair && abandoned) {
+      oldPair.pair = abandoned.id
+      abandoned.pair = oldPair.id
+    }
+
+    console.log(`🔗 [EDITOR] ${wormhole.id} enlazado con ${newPair.id}`)
+  }
+
+  /**
+   * Cambia el movimiento de un agujero: el recorrido nuevo sale de su posición
+   * hacia el centro del tablero
+   */
+  setHoleMotion(hole, type) {
+    if (!HOLE_MOTION_TYPES.includes(type)) {
+      delete hole.motion
+      return
+    }
+
+    const { ORBIT_OFFSET, PING_PONG_DISTANCE } = this.game.levelLoader
+    const speed = hole.motion?.speed ?? 1
+    const towardCenterX = hole.x < this.level.board.width / 2 ? 1 : -1
+    const towardCenterY = hole.y < this.level.board.height / 2 ? 1 : -1
+    const farX = hole.x + towardCenterX * PING_PONG_DISTANCE
+    const farY = hole.y + towardCenterY * PING_PONG_DISTANCE
+
+    switch (type) {
+      case "orbit":
+        hole.motion = { type, center: { x: hole.x + towardCenterX * ORBIT_OFFSET, y: hole.y }, speed }
+        break
+      case "pingPong":
+        hole.motion = {
+          type,
+          path: [
+            { x: hole.x, y: hole.y },
+            { x: farX, y: hole.y },
+          ],
+          speed,
+        }
+        break
+      case "linear":
+        hole.motion = {
+          type,
+          path: [
+            { x: hole.x, y: hole.y },
+            { x: farX, y: hole.y },
+            { x: farX, y: farY },
+            { x: hole.x, y: farY },
+          ],
+          speed,
+        }
+        break
+    }
+  }
+
+  /**
+   * Elimina una entidad del nivel
+   */
+  deleteEntity(id) {
+    const found = this.findEntity(id)
+    if (!found) return
+
+    found.list.splice(found.list.indexOf(found.entity), 1)
+    if (this.selectedId === id) this.selectedId = null
+
+    // Un agujero de gusano sin pareja no es válido: se borran los dos
+    if (found.kind === "wormhole" && this.findEntity(found.entity.pair)) {
+      this.deleteEntity(found.entity.pair)
+      return
+    }
+
+    console.log(`🗑️ [EDITOR] ${id} eliminado`)
+    this.render()
+  }
+
+  /**
+   * Maneja el inicio de un clic/toque sobre el tablero
+   */
+  handlePointerDown(event, point) {
+    if (!this.active) return
+    event.preventDefault()
+
+    const position = this.toBoardPosition(point)
+    const target = event.target.closest?.(".star, .hole, .meteorite, .gravity-source, .wormhole, .obstacle")
+
+    if (target) {
+      if (this.tool === "delete") {
+        this.deleteEntity(target.id)
+        return
+      }
+
+      // Seleccionar y empezar a arrastrar
+      const { entity } = this.findEntity(target.id)
+      this.selectedId = entity.id
+      this.drag = { id: entity.id, offsetX: position.x - entity.x, offsetY: position.y - entity.y }
+      this.render()
+      return
+    }
+
+    if (["star", "hole", "meteorite", "gravity", "wormhole", "obstacle"].includes(this.tool)) {
+      const entity = this.addEntity(this.tool, position)
+      this.selectedId = entity.id
+    } else {
+      this.selectedId = null
+    }
+
+    this.render()
+  }
+
+  /**
+   * Arrastra la entidad seleccionada
+   */
+  handlePointerMove(event, point) {
+    if (!this.active || !this.drag) return
+    event.preventDefault()
+
+    const found = this.findEntity(this.drag.id)
+    if (!found) return
+
+    const position = this.toBoardPosition(point)
+    const { kind, entity } = found
+    const newX = Math.max(0, Math.min(this.level.board.width, position.x - this.drag.offsetX))
+    const newY = Math.max(0, Math.min(this.level.board.height, position.y - this.drag.offsetY))
+
+    // Las rutas de patrulla y los recorridos de los agujeros se desplazan con la entidad
+    const track = [...(entity.path || []), ...(entity.motion?.path || [])]
+    if (entity.motion?.center) track.push(entity.motion.center)
+    track.forEach((trackPoint) => {
+      trackPoint.x += newX - entity.x
+      trackPoint.y += newY - entity.y
+    })
+
+    entity.x = newX
+    entity.y = newY
+
+    const element = document.getElementById(entity.id)
+    if (element) {
+      const elementPosition = this.game.levelLoader.getElementPosition(kind, entity)
+      element.style.left = `${elementPosition.x}px`
+      element.style.top = `${elementPosition.y}px`
+    }
+  }
+
+  /**
+   * Termina el arrastre
+   */
+  handlePointerUp() {
+    if (!this.drag) return
+    this.drag = null
+    this.render()
+  }
+
+  /**
+   * Atajos de teclado del editor
+   */
+  handleKeyDown(event) {
+    if (!this.active || !this.selectedId) return
+    if (event.target && ["INPUT", "SELECT"].includes(event.target.tagName)) return
+
+    if (event.key === "Delete" || event.key === "Backspace") {
+      this.deleteEntity(this.selectedId)
+      event.preventDefault()
+    }
+  }
+
+  /**
+   * Vuelca los campos del formulario en el nivel
+   */
+  readLevelFields() {
+    const readNumber = (id, fallback) => {
+      const value = Number.parseFloat(this.domElements[id]?.value)
+      return Number.isFinite(value) ? value : fallback
+    }
+
+    this.level.name = this.domElements.editorLevelName?.value || this.level.name
+    this.level.board.width = readNumber("editorBoardWidth", this.level.board.width)
+    this.level.board.height = readNumber("editorBoardHeight", this.level.board.height)
+    this.level.timeBonus = readNumber("editorTimeBonus", this.level.timeBonus)
+    this.level.parShots = readNumber("editorParShots", this.level.parShots)
+    this.level.shotBudget = readNumber("editorShotBudget", this.level.shotBudget)
+
+    const scheduleMode = this.domElements.editorSchedule?.value
+    if (ACTIVE_SCHEDULE_MODES.includes(scheduleMode)) {
+      const schedule = { ...this.level.activeSchedule, mode: scheduleMode }
+      if (scheduleMode === "timed") {
+        schedule.interval = readNumber("editorScheduleInterval", schedule.interval ?? this.SCHEDULE_INTERVAL)
+      } else {
+        delete schedule.interval
+      }
+      this.level.activeSchedule = schedule
+    } else {
+      delete this.level.activeSchedule
+    }
+    this.writeLevelFields()
+
+    this.render()
+  }
+
+  /**
+   * Muestra las propiedades del nivel en el formulario
+   */
+  writeLevelFields() {
+    const values = {
+      editorLevelName: this.level.name,
+      editorBoardWidth: this.level.board.width,
+      editorBoardHeight: this.level.board.height,
+      editorTimeBonus: this.level.timeBonus,
+      editorParShots: this.level.parShots,
+      editorShotBudget: this.level.shotBudget,
+      editorSchedule: this.level.activeSchedule?.mode ?? "none",
+      editorScheduleInterval: this.level.activeSchedule?.interval ?? "",
+    }
+
+    Object.entries(values).forEach(([id, value]) => {
+      if (this.domElements[id]) this.domElements[id].value = value
+    })
+  }
+
+  /**
+   * Dibuja el nivel en el tablero con las marcas del editor
+   */
+  render() {
+    if (!this.level) return
+
+    this.game.levelLoader.buildBoard(this.level)
+
+    this.level.holes.forEach((hole) => {
+      document.getElementById(hole.id)?.classList.toggle("active", hole.active)
+    })
+
+    // Flecha de dirección para los meteoritos con dirección fija
+    this.level.meteorites.forEach((meteorite) => {
+      const element = document.getElementById(meteorite.id)
+      if (!element || meteorite.direction === undefined) return
+
+      const arrow = document.createElement("div")
+      arrow.classList.add("editor-velocity")
+      arrow.style.width = `${20 + meteorite.speed * 15}px`
+      arrow.style.transform = `rotate(${meteorite.direction}deg)`
+      element.appendChild(arrow)
+    })
+
+    if (this.selectedId) {
+      document.getElementById(this.selectedId)?.classList.add("editor-selected")
+    }
+
+    this.renderProperties()
+  }
+
+  /**
+   * Muestra el formulario de propiedades de la entidad seleccionada
+   */
+  renderProperties() {
+    const panel = this.domElements.editorProperties
+    if (!panel) return
+
+    const found = this.selectedId ? this.findEntity(this.selectedId) : null
+    if (!found) {
+      panel.innerHTML = `<div class="editor-hint">Select an element to edit it</div>`
+      return
+    }
+
+    const { kind, entity } = found
+    let fields = ""
+
+    switch (kind) {
+      case "star":
+        fields = `
+          <label class="editor-field">TYPE
+            <select data-prop="type">
+              ${STAR_TYPES.map((type) => `<option value="${type}" ${type === entity.type ? "selected" : ""}>${type}</option>`).join("")}
+            </select>
+          </label>`
+        break
+      case "hole":
+        fields = `
+          <label class="editor-field">ACTIVE
+            <input type="checkbox" data-prop="active" ${entity.active ? "checked" : ""}>
+          </label>
+          <label class="editor-field">CAPTURE SPEED
+            <input type="number" min="0.5" step="0.5" data-prop="captureSpeed" value="${entity.captureSpeed ?? ""}" placeholder="${this.game.physicsEngine.CAPTURE_SPEED}">
+          </label>
+          <label class="editor-field">MOTION
+            <select data-prop="motionType">
+              <option value="none">None</option>
+              ${HOLE_MOTION_TYPES.map((type) => `<option value="${type}" ${type === entity.motion?.type ? "selected" : ""}>${type}</option>`).join("")}
+            </select>
+          </label>
+          ${
+            entity.motion
+              ? `<label class="editor-field">MOTION SPEED
+            <input type="number" min="0.5" step="0.5" data-prop="motionSpeed" value="${entity.motion.speed}">
+          </label>`
+              : ""
+          }`
+        break
+      case "meteorite":
+        fields = `
+          <label class="editor-field">SPEED
+            <input type="number" min="0" step="0.5" data-prop="speed" value="${entity.speed}">
+          </label>
+          <label class="editor-field">DIRECTION (°)
+            <input type="number" min="0" max="359" data-prop="direction" value="${entity.direction ?? ""}" placeholder="random">
+          </label>`
+        break
+      case "gravity":
+        fields = `
+          <label class="editor-field">TYPE
+            <select data-prop="type">
+              ${Object.entries(GRAVITY_SOURCE_TYPES)
+                .map(([type, definition]) => `<option value="${type}" ${type === entity.type ? "selected" : ""}>${definition.label}</option>`)
+                .join("")}
+            </select>
+          </label>`
+        break
+      case "wormhole":
+        fields = `
+          <label class="editor-field">EXIT ANGLE (°)
+            <input type="number" min="-180" max="180" data-prop="exitAngle" value="${entity.exitAngle}">
+          </label>
+          <label class="editor-field">PAIR
+            <select data-prop="pair">
+              ${this.level.wormholes
+                .filter((wormhole) => wormhole.id !== entity.id)
+                .map((wormhole) => `<option value="${wormhole.id}" ${wormhole.id === entity.pair ? "selected" : ""}>${wormhole.id}</option>`)
+                .join("")}
+            </select>
+          </label>`
+        break
+      case "obstacle":
+        fields = `
+          <label class="editor-field">TYPE
+            <select data-prop="obstacleType">
+              ${Object.entries(OBSTACLE_TYPES)
+                .map(([type, definition]) => `<option value="${type}" ${type === entity.type ? "selected" : ""}>${definition.label}</option>`)
+                .join("")}
+            </select>
+          </label>
+          <label class="editor-field">BOUNCE
+            <input type="number" min="0" step="0.1" data-prop="restitution" value="${entity.restitution ?? ""}" placeholder="${OBSTACLE_TYPES[entity.type].restitution ?? "star"}">
+          </label>`
+        break
+    }
+
+    // El id va como texto: puede venir de un archivo importado
+    panel.innerHTML = fields
+    const title = document.createElement("div")
+    title.classList.add("editor-entity-title")
+    title.textContent = entity.id
+    panel.prepend(title)
+
+    panel.querySelectorAll("[data-prop]").forEach((input) => {
+      input.addEventListener("change", () => this.updateEntityProperty(entity, input))
+    })
+  }
+
+  /**
+   * Aplica un cambio del formulario de propiedades a la entidad
+   */
+  updateEntityProperty(entity, input) {
+    const prop = input.dataset.prop
+
+    switch (prop) {
+      case "active":
+        entity.active = input.checked
+        break
+      case "speed":
+        entity.speed = Math.max(0, Number.parseFloat(input.value) || 0)
+        break
+      case "captureSpeed": {
+        const captureSpeed = Number.parseFloat(input.value)
+        if (captureSpeed > 0) {
+          entity.captureSpeed = captureSpeed
+        } else {
+          delete entity.captureSpeed
+        }
+        break
+      }
+      case "exitAngle":
+        entity.exitAngle = Number.parseFloat(input.value) || 0
+        break
+      case "obstacleType":
+        this.setObstacleType(entity, input.value)
+        break
+      case "pair":
+        this.setWormholePair(entity, input.value)
+        break
+      case "motionType":
+        this.setHoleMotion(entity, input.value)
+        break
+      case "motionSpeed": {
+        const motionSpeed = Number.parseFloat(input.value)
+        if (motionSpeed > 0) entity.motion.speed = motionSpeed
+        break
+      }
+      case "restitution": {
+        const restitution = Number.parseFloat(input.value)
+        if (restitution >= 0) {
+          entity.restitution = restitution
+        } else {
+          delete entity.restitution
+        }
+        break
+      }
+      case "direction":
+        if (input.value === "") {
+          delete entity.direction
+        } else {
+          entity.direction = Number.parseFloat(input.value) % 360
+        }
+        break
+      default:
+        entity[prop] = input.value
+    }
+
+    this.render()
+  }
+
+  /**
+   * Comprueba el nivel y avisa de los errores encontrados
+   */
+  checkLevel() {
+    const errors = this.game.levelLoader.validateLevel(this.level)
+    if (errors.length > 0) {
+      this.game.uiManager.showNotification(`Invalid level: ${errors[0]}`, "warning")
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Prueba el nivel en juego con el motor de física actual
+   */
+  testPlay() {
+    if (!this.checkLevel()) return
+
+    console.log("▶️ [EDITOR] Probando nivel...")
+    this.hidePanel()
+    this.game.startGame(null, { level: this.level, testMode: true })
+  }
+
+  /**
+   * Vuelve al editor cuando termina la prueba del nivel
+   */
+  onTestPlayEnded(message) {
+    console.log("⏹️ [EDITOR] Prueba terminada")
+
+    this.open(this.level)
+    if (message) {
+      this.game.uiManager.showNotification(message, "info")
+    }
+  }
+
+  /**
+   * Descarga el nivel como archivo JSON
+   */
+  exportLevel() {
+    if (!this.checkLevel()) return
+
+    const json = this.game.levelLoader.exportLevel(this.level)
+    const blob = new Blob([json], { type: "application/json" })
+    const url = URL.createObjectURL(blob)
+
+    const link = document.createElement("a")
+    link.href = url
+    link.download = `${this.level.name.replace(/\s+/g, "_").toLowerCase() || "level"}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+
+    console.log(`📤 [EDITOR] Nivel exportado: ${link.download}`)
+  }
+
+  /**
+   * Carga un nivel desde un archivo JSON
+   */
+  importLevel(file) {
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      const level = this.game.levelLoader.parseLevel(reader.result)
+      if (!level) {
+        this.game.uiManager.showNotification("Could not import the level", "error")
+        return
+      }
+
+      this.level = level
+      this.selectedId = null
+      this.writeLevelFields()
+      this.render()
+      this.game.uiManager.showNotification(`Level "${level.name}" imported`, "success")
+      console.log(`📥 [EDITOR] Nivel importado: ${level.name}`)
+    }
+    reader.readAsText(file)
+
+    // Permitir importar el mismo archivo otra vez
+    this.domElements.editorImportInput.value = ""
+  }
+}
\ No newline at end of file
@@ -0,0 +1,1075 @@
+/**
+ * LEVELS - Formato y Cargador de Niveles
+ *
+ * Define los niveles como datos JSON y los carga en el juego:
+ * - Validación y normalización del formato de nivel
+ * - Construcción del tablero en el DOM
+ * - Generación de niveles adicionales según la dificultad
+ */
+
+import { GRAVITY_SOURCE_TYPES, OBSTACLE_TYPES, STAR_PROPERTIES } from "./physics.js"
+import { POWERUP_TYPES } from "./powerups.js"
+
+export const LEVEL_FORMAT_VERSION = 1
+
+export const STAR_TYPES = Object.keys(STAR_PROPERTIES)
+
+export const WIN_CONDITION_TYPES = ["allStars", "starsPotted", "starInHole", "score"]
+
+export const HOLE_MOTION_TYPES = ["linear", "pingPong", "orbit"]
+
+export const ACTIVE_SCHEDULE_MODES = ["timed", "afterPot"]
+
+// Los ids acaban en el DOM (id de los elementos y formularios del editor)
+const ENTITY_ID_PATTERN = /^[A-Za-z0-9_-]+$/
+
+// Última versión de generateLevel(). Un cambio en los niveles generados va en una
+// versión nueva y las anteriores se conservan: con la misma semilla y versión
+// (p. ej. la de un reto diario ya jugado) se obtiene siempre el mismo nivel
+export const GENERATOR_VERSION = 1
+
+/**
+ * Niveles diseñados a mano. Cada uno es JSON puro:
+ * - board: tamaño del tablero en px
+ * - stars: posición de salida y tipo de cada estrella
+ * - holes: posición de cada agujero y si está activo (si ninguno lo está, se elige uno al azar).
+ *   captureSpeed opcional: velocidad máxima (px por paso) a la que una estrella cae dentro.
+ *   Movimiento opcional (speed en px por paso):
+ *   motion: { type: "linear" | "pingPong", path: [{ x, y }, ...], speed } |
+ *           { type: "orbit", center: { x, y }, speed }
+ * - activeSchedule: rotación del agujero activo (opcional), en el orden de holes o de la lista dada:
+ *   { mode: "timed", interval (segundos), holes? } | { mode: "afterPot", holes? }
+ * - meteorites: posición, velocidad (px por paso), dirección en grados (opcional) y ruta de patrulla (opcional)
+ * - gravitySources: planetas, agujeros negros y repulsores (opcional): { id, type, x, y, mass?, radius? }
+ * - wormholes: agujeros de gusano enlazados por parejas (opcional): { id, x, y, pair, exitAngle? }.
+ *   Al salir por un agujero la velocidad se gira exitAngle grados
+ * - obstacles: obstáculos fijos (opcional): { id, type, x, y, points?, radius?, restitution? }.
+ *   "wall" es una línea quebrada y "polygon" un asteroide cerrado, con points relativos a (x, y);
+ *   "bumper" es un círculo que devuelve las estrellas más rápido de lo que llegan
+ * - timeBonus: segundos que se suman al empezar el nivel
+ * - parShots: número de disparos esperado para completarlo
+ * - shotBudget: disparos disponibles en el modo puzle (por defecto, el par más 3)
+ * - powerups: power-ups colocados desde el inicio (opcional): { type, x, y }
+ * - generatorVersion: versión de generateLevel() que lo creó (solo en los niveles generados)
+ * - winCondition: condición de victoria (por defecto, meter todas las estrellas)
+ *   { type: "allStars" } | { type: "starsPotted", count } |
+ *   { type: "starInHole", star, hole } | { type: "score", target }
+ */
+export const LEVELS = [
+  {
+    version: 1,
+    name: "First Contact",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 800, y: 400 },
+      { id: "star2", type: "blue", x: 850, y: 450 },
+      { id: "star3", type: "red", x: 750, y: 450 },
+    ],
+    holes: [
+      { id: "hole1", x: 400, y: 200, active: false },
+      { id: "hole2", x: 1200, y: 200, active: false },
+      { id: "hole3", x: 400, y: 600, active: false },
+      { id: "hole4", x: 1200, y: 600, active: false },
+      { id: "hole5", x: 800, y: 200, active: false },
+    ],
+    meteorites: [
+      { id: "meteorite1", x: 600, y: 300, speed: 1 },
+      { id: "meteorite2", x: 1000, y: 500, speed: 1 },
+    ],
+    timeBonus: 0,
+    parShots: 3,
+    shotBudget: 6,
+  },
+  {
+    version: 1,
+    name: "Asteroid Belt",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 300, y: 400 },
+      { id: "star2", type: "blue", x: 250, y: 330 },
+      { id: "star3", type: "red", x: 250, y: 470 },
+    ],
+    holes: [
+      { id: "hole1", x: 1300, y: 150, active: true },
+      { id: "hole2", x: 1300, y: 650, active: false },
+      { id: "hole3", x: 800, y: 100, active: false },
+      { id: "hole4", x: 800, y: 700, active: false },
+    ],
+    meteorites: [
+      { id: "meteorite1", x: 800, y: 250, speed: 1.5, direction: 90 },
+      { id: "meteorite2", x: 800, y: 550, speed: 1.5, direction: 270 },
+      { id: "meteorite3", x: 1050, y: 400, speed: 1, direction: 0 },
+    ],
+    timeBonus: 20,
+    parShots: 4,
+    shotBudget: 7,
+    winCondition: { type: "starsPotted", count: 2 },
+  },
+  {
+    version: 1,
+    name: "Orbital Patrol",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 800, y: 650 },
+      { id: "star2", type: "blue", x: 700, y: 680 },
+      { id: "star3", type: "red", x: 900, y: 680 },
+    ],
+    holes: [
+      { id: "hole1", x: 800, y: 120, active: true },
+      { id: "hole2", x: 200, y: 200, active: false },
+      { id: "hole3", x: 1400, y: 200, active: false },
+    ],
+    meteorites: [
+      {
+        id: "meteorite1",
+        x: 500,
+        y: 300,
+        speed: 2,
+        path: [
+          { x: 500, y: 300 },
+          { x: 1100, y: 300 },
+        ],
+      },
+      {
+        id: "meteorite2",
+        x: 1100,
+        y: 450,
+        speed: 2.5,
+        path: [
+          { x: 1100, y: 450 },
+          { x: 500, y: 450 },
+        ],
+      },
+    ],
+    timeBonus: 20,
+    parShots: 4,
+    shotBudget: 7,
+    winCondition: { type: "starInHole", star: "star2", hole: "hole1" },
+  },
+  {
+    version: 1,
+    name: "Narrow Corridor",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 150, y: 400 },
+      { id: "star2", type: "blue", x: 100, y: 300 },
+      { id: "star3", type: "red", x: 100, y: 500 },
+    ],
+    holes: [
+      { id: "hole1", x: 1450, y: 400, active: true },
+      { id: "hole2", x: 1450, y: 150, active: false },
+      { id: "hole3", x: 1450, y: 650, active: false },
+      { id: "hole4", x: 800, y: 400, active: false },
+    ],
+    meteorites: [
+      {
+        id: "meteorite1",
+        x: 500,
+        y: 150,
+        speed: 2.5,
+        path: [
+          { x: 500, y: 150 },
+          { x: 500, y: 650 },
+        ],
+      },
+      {
+        id: "meteorite2",
+        x: 1100,
+        y: 650,
+        speed: 2.5,
+        path: [
+          { x: 1100, y: 650 },
+          { x: 1100, y: 150 },
+        ],
+      },
+      { id: "meteorite3", x: 800, y: 200, speed: 1.5 },
+    ],
+    timeBonus: 25,
+    parShots: 5,
+    shotBudget: 8,
+    winCondition: { type: "score", target: 300 },
+  },
+  {
+    version: 1,
+    name: "Meteor Shower",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 800, y: 400 },
+      { id: "star2", type: "blue", x: 760, y: 360 },
+      { id: "star3", type: "red", x: 840, y: 440 },
+    ],
+    holes: [
+      { id: "hole1", x: 150, y: 150, active: false },
+      { id: "hole2", x: 1450, y: 150, active: false },
+      { id: "hole3", x: 150, y: 650, active: false },
+      { id: "hole4", x: 1450, y: 650, active: false },
+    ],
+    meteorites: [
+      { id: "meteorite1", x: 400, y: 200, speed: 2 },
+      { id: "meteorite2", x: 1200, y: 200, speed: 2 },
+      { id: "meteorite3", x: 400, y: 600, speed: 2 },
+      { id: "meteorite4", x: 1200, y: 600, speed: 2 },
+      { id: "meteorite5", x: 800, y: 150, speed: 1.5 },
+    ],
+    timeBonus: 30,
+    parShots: 5,
+    shotBudget: 8,
+  },
+  {
+    version: 1,
+    name: "Gravity Well",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 250, y: 400 },
+      { id: "star2", type: "blue", x: 200, y: 330 },
+      { id: "star3", type: "red", x: 200, y: 470 },
+    ],
+    holes: [
+      { id: "hole1", x: 1400, y: 400, active: true },
+      { id: "hole2", x: 1400, y: 150, active: false },
+      { id: "hole3", x: 1400, y: 650, active: false },
+    ],
+    meteorites: [
+      {
+        id: "meteorite1",
+        x: 1150,
+        y: 200,
+        speed: 1.5,
+        path: [
+          { x: 1150, y: 200 },
+          { x: 1150, y: 600 },
+        ],
+      },
+    ],
+    gravitySources: [
+      { id: "planet1", type: "planet", x: 800, y: 400 },
+      { id: "blackHole1", type: "blackHole", x: 800, y: 130 },
+      { id: "repulsor1", type: "repulsor", x: 800, y: 680 },
+    ],
+    timeBonus: 30,
+    parShots: 4,
+    shotBudget: 7,
+  },
+  {
+    version: 1,
+    name: "Quantum Shortcut",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 250, y: 650 },
+      { id: "star2", type: "blue", x: 180, y: 600 },
+      { id: "star3", type: "red", x: 320, y: 600 },
+    ],
+    holes: [
+      { id: "hole1", x: 1400, y: 150, active: true },
+      { id: "hole2", x: 1400, y: 650, active: false },
+      { id: "hole3", x: 250, y: 150, active: false },
+    ],
+    meteorites: [
+      {
+        id: "meteorite1",
+        x: 800,
+        y: 100,
+        speed: 2,
+        path: [
+          { x: 800, y: 100 },
+          { x: 800, y: 700 },
+        ],
+      },
+      { id: "meteorite2", x: 1100, y: 400, speed: 1.5 },
+    ],
+    wormholes: [
+      { id: "wormhole1", x: 550, y: 400, pair: "wormhole2" },
+      { id: "wormhole2", x: 1150, y: 650, pair: "wormhole1", exitAngle: -90 },
+    ],
+    timeBonus: 30,
+    parShots: 4,
+    shotBudget: 7,
+    winCondition: { type: "starsPotted", count: 2 },
+  },
+  {
+    version: 1,
+    name: "Orbital Dance",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 800, y: 680 },
+      { id: "star2", type: "blue", x: 730, y: 700 },
+      { id: "star3", type: "red", x: 870, y: 700 },
+    ],
+    holes: [
+      { id: "hole1", x: 1000, y: 350, motion: { type: "orbit", center: { x: 800, y: 350 }, speed: 1.5 } },
+      {
+        id: "hole2",
+        x: 300,
+        y: 130,
+        motion: {
+          type: "pingPong",
+          path: [
+            { x: 1300, y: 130 },
+            { x: 300, y: 130 },
+          ],
+          speed: 2,
+        },
+      },
+      {
+        id: "hole3",
+        x: 200,
+        y: 450,
+        motion: {
+          type: "linear",
+          path: [
+            { x: 200, y: 650 },
+            { x: 400, y: 650 },
+            { x: 400, y: 450 },
+            { x: 200, y: 450 },
+          ],
+          speed: 1,
+        },
+      },
+      { id: "hole4", x: 1400, y: 550 },
+    ],
+    meteorites: [{ id: "meteorite1", x: 1200, y: 350, speed: 1.5 }],
+    activeSchedule: { mode: "timed", interval: 8 },
+    timeBonus: 35,
+    parShots: 5,
+    shotBudget: 8,
+    winCondition: { type: "starsPotted", count: 2 },
+  },
+  {
+    version: 1,
+    name: "Rock Maze",
+    board: { width: 1600, height: 800 },
+    stars: [
+      { id: "star1", type: "yellow", x: 200, y: 400 },
+      { id: "star2", type: "blue", x: 150, y: 330 },
+      { id: "star3", type: "red", x: 150, y: 470 },
+    ],
+    holes: [
+      { id: "hole1", x: 1400, y: 150, active: true },
+      { id: "hole2", x: 1400, y: 650 },
+      { id: "hole3", x: 800, y: 400 },
+    ],
+    meteorites: [{ id: "meteorite1", x: 1100, y: 400, speed: 1.5 }],
+    obstacles: [
+      {
+        id: "wall1",
+        type: "wall",
+        x: 500,
+        y: 100,
+        points: [
+          { x: 0, y: 0 },
+          { x: 0, y: 250 },
+          { x: 150, y: 250 },
+        ],
+      },
+      {
+        id: "wall2",
+        type: "wall",
+        x: 500,
+        y: 700,
+        points: [
+          { x: 0, y: 0 },
+          { x: 0, y: -250 },
+          { x: 150, y: -250 },
+        ],
+      },
+      { id: "bumper1", type: "bumper", x: 1100, y: 200 },
+      { id: "bumper2", type: "bumper", x: 1100, y: 600 },
+      {
+        id: "asteroid1",
+        type: "polygon",
+        x: 1250,
+        y: 400,
+        points: [
+          { x: 0, y: -70 },
+          { x: 60, y: -20 },
+          { x: 40, y: 60 },
+          { x: -40, y: 60 },
+          { x: -60, y: -20 },
+        ],
+      },
+    ],
+    timeBonus: 35,
+    parShots: 5,
+    shotBudget: 8,
+    winCondition: { type: "starsPotted", count: 2 },
+  },
+]
+
+export class LevelLoader {
+  constructor(game) {
+    console.log("🗺️ [LEVELS] Inicializando cargador de niveles...")
+
+    this.game = game
+    this.levels = LEVELS
+    this.BOARD_MARGIN = 80
+    this.SPAWN_CLEARANCE = 200
+    this.ORBIT_OFFSET = 70 // px hasta el centro de la órbita en cada eje
+    this.PING_PONG_DISTANCE = 200
+    this.BUMPER_CLEARANCE = 60 // px mínimos entre un bumper y un agujero
+
+    console.log(`✅ [LEVELS] ${this.levels.length} niveles disponibles`)
+  }
+
+  /**
+   * Obtiene una copia normalizada del nivel indicado (empezando en 1).
+   * Más allá de los niveles diseñados se generan niveles procedurales.
+   */
+  getLevel(levelNumber, difficultyMultiplier = 1) {
+    const baseLevel =
+      levelNumber <= this.levels.length
+        ? this.levels[levelNumber - 1]
+        : this.generateLevel(levelNumber)
+
+    const level = this.normalizeLevel(baseLevel)
+
+    // Los meteoritos se aceleran con la dificultad
+    level.meteorites.forEach((meteorite) => {
+      meteorite.speed *= difficultyMultiplier
+    })
+
+    return level
+  }
+
+  /**
+   * Genera un nivel procedural (por defecto con el generador del juego, el
+   * tamaño de tablero del motor de física y la última versión del generador).
+   * Devuelve null si la versión no existe.
+   */
+  generateLevel(levelNumber, random = this.game.random, board = this.getBoardSize(), version = GENERATOR_VERSION) {
+    let level
+    switch (version) {
+      case 1:
+        level = this.generateLevelV1(levelNumber, random, board)
+        break
+      default:
+        console.error(`❌ [LEVELS] Versión de generador desconocida: ${version}`)
+        return null
+    }
+
+    level.generatorVersion = version
+    return level
+  }
+
+  /**
+   * Versión 1 del generador de niveles
+   */
+  generateLevelV1(levelNumber, random, board) {
+    const { width, height } = board
+    const margin = this.BOARD_MARGIN
+
+    const center = { x: width / 2, y: height / 2 }
+
+    // Punto aleatorio alejado de la zona de salida de las estrellas
+    const randomPoint = () => {
+      let point = null
+      for (let attempt = 0; attempt < 10; attempt++) {
+        point = {
+          x: Math.round(random.range(margin, width - margin)),
+          y: Math.round(random.range(margin, height - margin)),
+        }
+        if (Math.hypot(point.x - center.x, point.y - center.y) > this.SPAWN_CLEARANCE) break
+      }
+      return point
+    }
+
+    const stars = STAR_TYPES.map((type, index) => ({
+      id: `star${index + 1}`,
+      type: type,
+      x: center.x + (index - 1) * 50,
+      y: center.y + (index === 0 ? 0 : 50),
+    }))
+
+    const holeCount = Math.max(3, 6 - Math.floor(levelNumber / 3))
+    const holes = []
+    for (let i = 0; i < holeCount; i++) {
+      holes.push({ id: `hole${i + 1}`, ...randomPoint(), active: false })
+    }
+
+    const meteoriteCount = Math.min(2 + Math.floor(levelNumber / 2), 8)
+    const meteorites = []
+    for (let i = 0; i < meteoriteCount; i++) {
+      meteorites.push({ id: `meteorite${i + 1}`, ...randomPoint(), speed: 1.5 })
+    }
+
+    // Las fuentes de gravedad aparecen en los sectores avanzados
+    const gravityTypes = Object.keys(GRAVITY_SOURCE_TYPES)
+    const gravityCount = Math.min(Math.max(Math.floor((levelNumber - 3) / 4), 0), 3)
+    const gravitySources = []
+    for (let i = 0; i < gravityCount; i++) {
+      gravitySources.push({ id: `gravity${i + 1}`, type: random.pick(gravityTypes), ...randomPoint() })
+    }
+
+    // Una pareja de agujeros de gusano a partir del sector 9
+    const wormholes = []
+    if (levelNumber >= 9) {
+      wormholes.push(
+        { id: "wormhole1", ...randomPoint(), pair: "wormhole2" },
+        { id: "wormhole2", ...randomPoint(), pair: "wormhole1", exitAngle: Math.round(random.range(-180, 180)) },
+      )
+    }
+
+    // Más adelante los agujeros se mueven (siempre hacia el interior del tablero)
+    const movingCount = levelNumber >= 10 ? Math.min(Math.floor((levelNumber - 8) / 2), holes.length) : 0
+    for (let i = 0; i < movingCount; i++) {
+      const hole = holes[i]
+      const towardCenterX = hole.x < center.x ? 1 : -1
+      const towardCenterY = hole.y < center.y ? 1 : -1
+
+      hole.motion =
+        random.next() < 0.5
+          ? {
+              type: "orbit",
+              center: { x: hole.x + towardCenterX * this.ORBIT_OFFSET, y: hole.y + towardCenterY * this.ORBIT_OFFSET },
+              speed: 1.5,
+            }
+          : {
+              type: "pingPong",
+              path: [
+                { x: hole.x, y: hole.y },
+                { x: hole.x + towardCenterX * this.PING_PONG_DISTANCE, y: hole.y },
+              ],
+              speed: 2,
+            }
+    }
+
+    // Bumpers a partir del sector 9, sin tapar ningún agujero
+    const obstacles = []
+    const bumperCount = levelNumber >= 9 ? Math.min(Math.floor((levelNumber - 7) / 2), 4) : 0
+    for (let i = 0; i < bumperCount; i++) {
+      const point = randomPoint()
+      const blocksHole = holes.some((hole) => Math.hypot(hole.x - point.x, hole.y - point.y) < this.BUMPER_CLEARANCE)
+      if (!blocksHole) {
+        obstacles.push({ id: `bumper${i + 1}`, type: "bumper", ...point })
+      }
+    }
+
+    // ...y el agujero activo rota por tiempo o tras cada estrella metida
+    let activeSchedule
+    if (levelNumber >= 9) {
+      activeSchedule =
+        levelNumber % 2 === 0
+          ? { mode: "afterPot" }
+          : { mode: "timed", interval: Math.max(12 - Math.floor(levelNumber / 3), 5) }
+    }
+
+    return {
+      version: LEVEL_FORMAT_VERSION,
+      name: `Sector ${levelNumber}`,
+      board: { width, height },
+      stars,
+      holes,
+      meteorites,
+      gravitySources,
+      wormholes,
+      obstacles,
+      activeSchedule,
+      timeBonus: 30,
+      parShots: 5,
+      shotBudget: 8,
+    }
+  }
+
+  /**
+   * Tamaño de tablero configurado en el motor de física
+   */
+  getBoardSize() {
+    const physics = this.game.physicsEngine
+    return { width: physics.boardWidth, height: physics.boardHeight }
+  }
+
+  /**
+   * Valida los datos de un nivel y devuelve la lista de errores encontrados
+   */
+  validateLevel(data) {
+    const errors = []
+
+    if (!data || typeof data !== "object") {
+      return ["The level must be an object"]
+    }
+
+    if (!data.board || !(data.board.width > 0) || !(data.board.height > 0)) {
+      errors.push("board.width and board.height must be positive")
+    }
+
+    if (!Array.isArray(data.stars) || data.stars.length === 0) {
+      errors.push("The level needs at least one star")
+    }
+
+    if (!Array.isArray(data.holes) || data.holes.length === 0) {
+      errors.push("The level needs at least one hole")
+    }
+
+    const ids = new Set()
+    const checkEntity = (entity, kind) => {
+      if (!entity || typeof entity.id !== "string" || entity.id === "") {
+        errors.push(`Every ${kind} needs an id`)
+        return
+      }
+      if (!ENTITY_ID_PATTERN.test(entity.id)) {
+        errors.push(`Invalid ${kind} id "${entity.id}": use only letters, digits, "_" and "-"`)
+        return
+      }
+      if (ids.has(entity.id)) {
+        errors.push(`Duplicate id: ${entity.id}`)
+      }
+      ids.add(entity.id)
+      if (!Number.isFinite(entity.x) || !Number.isFinite(entity.y)) {
+        errors.push(`${entity.id}: invalid position`)
+      }
+    }
+
+    const stars = data.stars || []
+    const holes = data.holes || []
+    const meteorites = data.meteorites || []
+
+    stars.forEach((star) => {
+      checkEntity(star, "star")
+      if (star && !STAR_TYPES.includes(star.type)) {
+        errors.push(`${star.id}: unknown star type "${star.type}"`)
+      }
+    })
+    holes.forEach((hole) => {
+      checkEntity(hole, "hole")
+      if (hole?.captureSpeed !== undefined && !(hole.captureSpeed > 0)) {
+        errors.push(`${hole.id}: captureSpeed must be positive`)
+      }
+      if (hole?.motion !== undefined) {
+        errors.push(...this.validateHoleMotion(hole))
+      }
+    })
+    if (data.activeSchedule !== undefined) {
+      errors.push(...this.validateActiveSchedule(data.activeSchedule, holes))
+    }
+    meteorites.forEach((meteorite) => {
+      checkEntity(meteorite, "meteorite")
+      if (meteorite && meteorite.path !== undefined) {
+        const validPath =
+          Array.isArray(meteorite.path) &&
+          meteorite.path.every((point) => Number.isFinite(point.x) && Number.isFinite(point.y))
+        if (!validPath) {
+          errors.push(`${meteorite.id}: invalid path`)
+        }
+      }
+    })
+
+    const gravitySources = data.gravitySources || []
+    gravitySources.forEach((source) => {
+      checkEntity(source, "gravity source")
+      if (source && !GRAVITY_SOURCE_TYPES[source.type]) {
+        errors.push(`${source.id}: unknown gravity source type "${source.type}"`)
+      }
+      if (source?.mass !== undefined && !Number.isFinite(source.mass)) {
+        errors.push(`${source.id}: mass must be a number`)
+      }
+      if (source?.radius !== undefined && !(source.radius > 0)) {
+        errors.push(`${source.id}: radius must be positive`)
+      }
+    })
+
+    const wormholes = data.wormholes || []
+    wormholes.forEach((wormhole) => {
+      checkEntity(wormhole, "wormhole")
+      if (!wormhole) return
+
+      const pair = wormholes.find((other) => other?.id === wormhole.pair)
+      if (!pair || pair === wormhole) {
+        errors.push(`${wormhole.id}: missing pair "${wormhole.pair}"`)
+      } else if (pair.pair !== wormhole.id) {
+        errors.push(`${wormhole.id}: ${pair.id} must point back to ${wormhole.id}`)
+      }
+      if (wormhole.exitAngle !== undefined && !Number.isFinite(wormhole.exitAngle)) {
+        errors.push(`${wormhole.id}: exitAngle must be a number`)
+      }
+    })
+
+    const obstacles = data.obstacles || []
+    obstacles.forEach((obstacle) => {
+      checkEntity(obstacle, "obstacle")
+      if (!obstacle) return
+
+      const definition = OBSTACLE_TYPES[obstacle.type]
+      if (!definition) {
+        errors.push(`${obstacle.id}: unknown obstacle type "${obstacle.type}"`)
+        return
+      }
+      if (definition.minPoints) {
+        const validPoints =
+          Array.isArray(obstacle.points) &&
+          obstacle.points.length >= definition.minPoints &&
+          obstacle.points.every((point) => Number.isFinite(point?.x) && Number.isFinite(point?.y))
+        if (!validPoints) {
+          errors.push(`${obstacle.id}: needs at least ${definition.minPoints} valid points`)
+        }
+      }
+      if (obstacle.radius !== undefined && !(obstacle.radius > 0)) {
+        errors.push(`${obstacle.id}: radius must be positive`)
+      }
+      if (obstacle.restitution !== undefined && !(obstacle.restitution >= 0)) {
+        errors.push(`${obstacle.id}: restitution cannot be negative`)
+      }
+    })
+
+    const powerups = data.powerups || []
+    powerups.forEach((pickup) => {
+      if (!POWERUP_TYPES[pickup?.type]) {
+        errors.push(`Unknown power-up: ${pickup?.type}`)
+      } else if (!Number.isFinite(pickup.x) || !Number.isFinite(pickup.y)) {
+        errors.push(`Power-up ${pickup.type}: invalid position`)
+      }
+    })
+
+    if (data.parShots !== undefined && !(Number.isInteger(data.parShots) && data.parShots >= 1)) {
+      errors.push("parShots must be a positive integer")
+    }
+    if (data.shotBudget !== undefined) {
+      const minBudget = data.parShots ?? 1
+      if (!(Number.isInteger(data.shotBudget) && data.shotBudget >= minBudget)) {
+        errors.push("shotBudget must be an integer no lower than parShots")
+      }
+    }
+
+    if (data.winCondition !== undefined) {
+      errors.push(...this.validateWinCondition(data.winCondition, stars, holes))
+    }
+
+    return errors
+  }
+
+  /**
+   * Valida el movimiento de un agujero
+   */
+  validateHoleMotion(hole) {
+    const motion = hole.motion
+    if (!motion || !HOLE_MOTION_TYPES.includes(motion.type)) {
+      return [`${hole.id}: unknown motion "${motion?.type}"`]
+    }
+
+    const errors = []
+    const isPoint = (point) => Number.isFinite(point?.x) && Number.isFinite(point?.y)
+
+    if (motion.speed !== undefined && !(motion.speed > 0)) {
+      errors.push(`${hole.id}: motion.speed must be positive`)
+    }
+    if (motion.type === "orbit") {
+      if (!isPoint(motion.center)) {
+        errors.push(`${hole.id}: invalid motion.center`)
+      } else if (motion.center.x === hole.x && motion.center.y === hole.y) {
+        errors.push(`${hole.id}: the hole cannot sit on the center of its orbit`)
+      }
+    } else if (!Array.isArray(motion.path) || motion.path.length < 2 || !motion.path.every(isPoint)) {
+      errors.push(`${hole.id}: motion.path needs at least two points`)
+    }
+    return errors
+  }
+
+  /**
+   * Valida el calendario de agujero activo frente a los agujeros del nivel
+   */
+  validateActiveSchedule(schedule, holes) {
+    if (!schedule || !ACTIVE_SCHEDULE_MODES.includes(schedule.mode)) {
+      return [`Unknown active hole schedule: ${schedule?.mode}`]
+    }
+
+    const errors = []
+    if (schedule.mode === "timed" && !(schedule.interval > 0)) {
+      errors.push("activeSchedule.interval must be positive")
+    }
+    if (schedule.holes !== undefined) {
+      if (!Array.isArray(schedule.holes) || schedule.holes.length === 0) {
+        errors.push("activeSchedule.holes must be a list of holes")
+      } else {
+        schedule.holes
+          .filter((id) => !holes.some((hole) => hole.id === id))
+          .forEach((id) => errors.push(`activeSchedule.holes: unknown hole ${id}`))
+      }
+    }
+    return errors
+  }
+
+  /**
+   * Valida la condición de victoria frente a las entidades del nivel
+   */
+  validateWinCondition(condition, stars, holes) {
+    if (!condition || !WIN_CONDITION_TYPES.includes(condition.type)) {
+      return [`Unknown win condition: ${condition?.type}`]
+    }
+
+    const errors = []
+    switch (condition.type) {
+      case "starsPotted":
+        if (!(condition.count >= 1 && condition.count <= stars.length)) {
+          errors.push("winCondition.count must be between 1 and the number of stars")
+        }
+        break
+      case "starInHole":
+        if (!stars.some((star) => star.id === condition.star)) {
+          errors.push(`winCondition.star does not exist: ${condition.star}`)
+        }
+        if (!holes.some((hole) => hole.id === condition.hole)) {
+          errors.push(`winCondition.hole does not exist: ${condition.hole}`)
+        }
+        break
+      case "score":
+        if (!(condition.target > 0)) {
+          errors.push("winCondition.target must be positive")
+        }
+        break
+    }
+    return errors
+  }
+
+  /**
+   * Comprueba si la condición de victoria del nivel se cumple.
+   * `levelScore` son los puntos conseguidos durante el nivel.
+   */
+  checkWinCondition(level, stars, levelScore) {
+    const condition = level.winCondition
+    const pottedStars = stars.filter((star) => star.inHole)
+
+    switch (condition.type) {
+      case "starsPotted":
+        return pottedStars.length >= condition.count
+      case "starInHole":
+        return pottedStars.some((star) => star.id === condition.star && star.holeId === condition.hole)
+      case "score":
+        return levelScore >= condition.target
+      case "allStars":
+      default:
+        return stars.length > 0 && pottedStars.length === stars.length
+    }
+  }
+
+  /**
+   * Describe la condición de victoria para mostrarla al jugador
+   */
+  describeWinCondition(condition) {
+    switch (condition.type) {
+      case "starsPotted":
+        return `Pot ${condition.count} stars`
+      case "starInHole":
+        return `Pot ${condition.star} in ${condition.hole}`
+      case "score":
+        return `Score ${condition.target} points`
+      case "allStars":
+      default:
+        return "Pot all the stars"
+    }
+  }
+
+  /**
+   * Devuelve una copia del nivel con todos los campos opcionales rellenados
+   */
+  normalizeLevel(data) {
+    const level = JSON.parse(JSON.stringify(data))
+
+    level.version = level.version || LEVEL_FORMAT_VERSION
+    level.name = level.name || "Untitled level"
+    level.holes.forEach((hole) => {
+      hole.active = Boolean(hole.active)
+      if (hole.motion) hole.motion.speed = hole.motion.speed ?? 1
+    })
+    level.meteorites = level.meteorites || []
+    level.meteorites.forEach((meteorite) => {
+      meteorite.speed = meteorite.speed ?? 1
+    })
+    level.gravitySources = level.gravitySources || []
+    level.wormholes = level.wormholes || []
+    level.wormholes.forEach((wormhole) => {
+      wormhole.exitAngle = wormhole.exitAngle ?? 0
+    })
+    level.obstacles = level.obstacles || []
+    level.powerups = level.powerups || []
+    level.timeBonus = level.timeBonus ?? 0
+    level.parShots = level.parShots ?? level.stars.length
+    level.shotBudget = level.shotBudget ?? level.parShots + 3
+    level.winCondition = level.winCondition || { type: "allStars" }
+
+    // Solo los agujeros activos capturan estrellas: el agujero objetivo debe estarlo
+    if (level.winCondition.type === "starInHole") {
+      const targetHole = level.holes.find((hole) => hole.id === level.winCondition.hole)
+      if (targetHole) targetHole.active = true
+    }
+
+    return level
+  }
+
+  /**
+   * Interpreta un nivel en formato JSON. Devuelve null si no es válido.
+   */
+  parseLevel(json) {
+    try {
+      const data = typeof json === "string" ? JSON.parse(json) : json
+      const errors = this.validateLevel(data)
+
+      if (errors.length > 0) {
+        console.error("❌ [LEVELS] Nivel inválido:", errors)
+        return null
+      }
+
+      return this.normalizeLevel(data)
+    } catch (error) {
+      console.error("❌ [LEVELS] Error interpretando nivel:", error)
+      return null
+    }
+  }
+
+  /**
+   * Serializa un nivel a JSON legible
+   */
+  exportLevel(level) {
+    return JSON.stringify(level, null, 2)
+  }
+
+  /**
+   * Construye los elementos del tablero en el DOM
+   */
+  buildBoard(level) {
+    const board = document.getElementById("unifiedBoard")
+    if (!board) {
+      console.error("❌ [LEVELS] unifiedBoard no encontrado")
+      return
+    }
+
+    // Eliminar las entidades del nivel anterior
+    board
+      .querySelectorAll(".star, .hole, .meteorite, .gravity-source, .wormhole, .obstacle, .powerup")
+      .forEach((element) => element.remove())
+
+    board.style.width = `${level.board.width}px`
+    board.style.height = `${level.board.height}px`
+
+    const createElement = (id, classNames, x, y) => {
+      const element = document.createElement("div")
+      element.id = id
+      element.classList.add(...classNames)
+      element.style.left = `${x}px`
+      element.style.top = `${y}px`
+      board.appendChild(element)
+      return element
+    }
+
+    const gravitySources = level.gravitySources || [] // Las repeticiones antiguas no las tienen
+    gravitySources.forEach((source) => {
+      const definition = GRAVITY_SOURCE_TYPES[source.type]
+      const radius = source.radius ?? definition.radius
+      const position = this.getElementPosition("gravity", source)
+      const element = createElement(source.id, ["gravity-source", definition.cssClass], position.x, position.y)
+      element.style.width = `${radius * 2}px`
+      element.style.height = `${radius * 2}px`
+      element.title = definition.label
+    })
+    // Cada pareja de agujeros de gusano comparte un color
+    const wormholeRadius = this.game.physicsEngine.WORMHOLE_RADIUS
+    const wormholes = level.wormholes || []
+    wormholes.forEach((wormhole) => {
+      const pairIndex = wormholes.findIndex((other) => other.id === wormhole.id || other.id === wormhole.pair)
+      const position = this.getElementPosition("wormhole", wormhole)
+      const element = createElement(wormhole.id, ["wormhole"], position.x, position.y)
+      element.style.width = `${wormholeRadius * 2}px`
+      element.style.height = `${wormholeRadius * 2}px`
+      element.style.setProperty("--wormhole-hue", `${(pairIndex * 67 + 200) % 360}`)
+      element.title = `Wormhole → ${wormhole.pair}`
+    })
+    const obstacles = level.obstacles || []
+    obstacles.forEach((obstacle) => this.buildObstacle(obstacle, createElement))
+    level.holes.forEach((hole) => createElement(hole.id, ["hole"], hole.x, hole.y))
+    level.meteorites.forEach((meteorite) => createElement(meteorite.id, ["meteorite"], meteorite.x, meteorite.y))
+    level.stars.forEach((star) => createElement(star.id, ["star", star.type], star.x, star.y))
+
+    console.log(`🧱 [LEVELS] Tablero construido para "${level.name}"`)
+  }
+
+  /**
+   * Posición (left/top) del elemento DOM de una entidad. Las entidades se
+   * anclan por la esquina como las estrellas: las de otro tamaño se centran
+   * sobre el mismo punto que el centro de una estrella en (x, y)
+   */
+  getElementPosition(kind, entity) {
+    const starRadius = this.game.physicsEngine.STAR_RADIUS
+    let offsetX = 0
+    let offsetY = 0
+
+    if (kind === "gravity") {
+      const radius = entity.radius ?? GRAVITY_SOURCE_TYPES[entity.type].radius
+      offsetX = offsetY = starRadius - radius
+    } else if (kind === "wormhole") {
+      offsetX = offsetY = starRadius - this.game.physicsEngine.WORMHOLE_RADIUS
+    } else if (kind === "obstacle" && entity.type === "bumper") {
+      const radius = entity.radius ?? OBSTACLE_TYPES.bumper.radius
+      offsetX = offsetY = starRadius - radius
+    } else if (kind === "obstacle" && entity.type === "wall") {
+      offsetX = offsetY = starRadius
+    } else if (kind === "obstacle") {
+      // Polígono: la caja que lo contiene empieza en su vértice mínimo
+      offsetX = starRadius + Math.min(...entity.points.map((point) => point.x))
+      offsetY = starRadius + Math.min(...entity.points.map((point) => point.y))
+    }
+
+    return { x: entity.x + offsetX, y: entity.y + offsetY }
+  }
+
+  /**
+   * Dibuja un obstáculo: los muros como segmentos girados, los bumpers como
+   * círculos y los asteroides recortando su caja con clip-path
+   */
+  buildObstacle(obstacle, createElement) {
+    const definition = OBSTACLE_TYPES[obstacle.type]
+    const position = this.getElementPosition("obstacle", obstacle)
+
+    if (obstacle.type === "bumper") {
+      const radius = obstacle.radius ?? definition.radius
+      const element = createElement(obstacle.id, ["obstacle", definition.cssClass], position.x, position.y)
+      element.style.width = `${radius * 2}px`
+      element.style.height = `${radius * 2}px`
+      element.title = definition.label
+      return
+    }
+
+    if (obstacle.type === "wall") {
+      const element = createElement(obstacle.id, ["obstacle", definition.cssClass], position.x, position.y)
+      const thickness = this.game.physicsEngine.WALL_THICKNESS
+      for (let i = 0; i < obstacle.points.length - 1; i++) {
+        const start = obstacle.points[i]
+        const end = obstacle.points[i + 1]
+        const segment = document.createElement("div")
+        segment.classList.add("wall-segment")
+        segment.style.left = `${start.x}px`
+        segment.style.top = `${start.y - thickness / 2}px`
+        segment.style.width = `${Math.hypot(end.x - start.x, end.y - start.y)}px`
+        segment.style.height = `${thickness}px`
+        segment.style.transform = `rotate(${Math.atan2(end.y - start.y, end.x - start.x)}rad)`
+        element.appendChild(segment)
+      }
+      element.title = definition.label
+      return
+    }
+
+    // Polígono: caja que lo contiene y recorte con sus vértices
+    const xs = obstacle.points.map((point) => point.x)
+    const ys = obstacle.points.map((point) => point.y)
+    const minX = Math.min(...xs)
+    const minY = Math.min(...ys)
+    const element = createElement(obstacle.id, ["obstacle", definition.cssClass], position.x, position.y)
+    element.style.width = `${Math.max(...xs) - minX}px`
+    element.style.height = `${Math.max(...ys) - minY}px`
+    element.style.clipPath = `polygon(${obstacle.points.map((point) => `${point.x - minX}px ${point.y - minY}px`).join(", ")})`
+    element.title = definition.label
+  }
+
+  /**
+   * Carga un nivel: construye el DOM y las entidades del motor de física
+   */
+  load(level) {
+    console.log(`📥 [LEVELS] Cargando nivel "${level.name}"...`)
+
+    this.buildBoard(level)
+    this.game.boardRenderer.reset()
+    this.game.physicsEngine.initialize(level)
+    this.game.powerupSystem.reset(level)
+
+    // Seleccionar la primera estrella del nivel y dibujar el tablero
+    this.game.resetStars()
+
+    console.log(`✅ [LEVELS] Nivel "${level.name}" cargado`)
+  }
+}
\ No newline at end of file
@@ -8,6 +8,8 @@
  * - Instrucciones
  */
 
+import { MAX_PLAYERS, MIN_PLAYERS } from "./players.js"
+
 export class MenuSystem {
   constructor(game) {
     console.log("📋 [MENU] Inicializando sistema de menú...")
@@ -58,14 +60,22 @@ export class MenuSystem {
 
     const elementIds = [
       "menuOverlay",
+      "continueButton",
       "startGameButton",
       "instructionsButton",
       "highScoresButton",
+      "levelEditorButton",
+      "replaysButton",
+      "puzzleButton",
+      "dailyChallengeButton",
       "timeSelect",
       "aimLineToggle",
       "pointerStyleSelect",
       "trajectoryToggle",
+      "trajectoryBouncesSelect",
       "controlModeSelect",
+      "playerCountSelect",
+      "aiOpponentSelect",
       "soundToggle",
       "scoresModal",
       "closeScoresButton",
@@ -138,7 +148,14 @@ export class MenuSystem {
     console.log("🎛️ [MENU] Configurando elementos interactivos...")
 
     // Configurar selects
-    const selects = ["timeSelect", "pointerStyleSelect", "controlModeSelect"]
+    const selects = [
+      "timeSelect",
+      "pointerStyleSelect",
+      "trajectoryBouncesSelect",
+      "controlModeSelect",
+      "playerCountSelect",
+      "aiOpponentSelect",
+    ]
     selects.forEach((selectId) => {
       const select = this.domElements[selectId]
       if (select) {
@@ -197,6 +214,33 @@ export class MenuSystem {
       this.showHighScores()
     })
 
+    // Configurar botón de continuar partida
+    this.setupButton("continueButton", "▶️ [MENU] Botón continuar presionado", () => {
+      this.hide()
+      setTimeout(() => this.game.continueGame(), 300)
+    })
+    this.updateContinueButton()
+
+    // Configurar botón del editor de niveles
+    this.setupButton("levelEditorButton", "🛠️ [MENU] Botón editor presionado", () => {
+      this.game.levelEditor.open()
+    })
+
+    // Configurar botón de repeticiones
+    this.setupButton("replaysButton", "🎥 [MENU] Botón repeticiones presionado", () => {
+      this.game.replayPlayer.open()
+    })
+
+    // Configurar botón del modo puzle
+    this.setupButton("puzzleButton", "🧩 [MENU] Botón puzles presionado", () => {
+      this.game.puzzleSystem.openLevelSelect()
+    })
+
+    // Configurar botón del reto diario
+    this.setupButton("dailyChallengeButton", "📅 [MENU] Botón reto diario presionado", () => {
+      this.game.dailyChallenge.start()
+    })
+
     // Configurar botón de cerrar puntuaciones
     this.setupButton("closeScoresButton", "🏆 [MENU] Cerrando puntuaciones", () => {
       this.hideHighScores()
@@ -236,6 +280,7 @@ export class MenuSystem {
 
     // Múltiples event listeners para asegurar funcionamiento
     button.addEventListener("touchstart", handleClick, { passive: false })
+    button.addEventListener("click", handleClick)
 
     // Log de verificación
     console.log(`✅ [MENU] Botón configurado: ${buttonId}`)
@@ -249,9 +294,14 @@ export class MenuSystem {
    */
   removeExistingListeners() {
     const elements = [
+      this.domElements.continueButton,
       this.domElements.startGameButton,
       this.domElements.instructionsButton,
       this.domElements.highScoresButton,
+      this.domElements.levelEditorButton,
+      this.domElements.replaysButton,
+      this.domElements.puzzleButton,
+      this.domElements.dailyChallengeButton,
       this.domElements.closeScoresButton,
     ]
 
@@ -274,7 +324,10 @@ export class MenuSystem {
       "aimLineToggle",
       "pointerStyleSelect",
       "trajectoryToggle",
+      "trajectoryBouncesSelect",
       "controlModeSelect",
+      "playerCountSelect",
+      "aiOpponentSelect",
       "soundToggle",
     ]
 
@@ -303,6 +356,10 @@ export class MenuSystem {
       this.domElements.startGameButton,
       this.domElements.instructionsButton,
       this.domElements.highScoresButton,
+      this.domElements.levelEditorButton,
+      this.domElements.replaysButton,
+      this.domElements.puzzleButton,
+      this.domElements.dailyChallengeButton,
     ]
 
     buttons.forEach((button, index) => {
@@ -312,6 +369,51 @@ export class MenuSystem {
     })
   }
 
+  /**
+   * Muestra el menú principal
+   */
+  show() {
+    const overlay = this.domElements.menuOverlay
+    if (!overlay) return
+
+    overlay.style.display = "flex"
+    this.updateContinueButton()
+    // Forzar el reflow para que la transición de opacidad se aplique
+    void overlay.offsetWidth
+    overlay.style.opacity = "1"
+    this.isVisible = true
+    console.log("📋 [MENU] Menú mostrado")
+  }
+
+  /**
+   * Muestra "Continuar" solo si hay una partida guardada
+   */
+  updateContinueButton() {
+    const continueButton = this.domElements.continueButton
+    if (!continueButton) return
+
+    const progress = this.game?.storageManager?.loadProgress()
+    continueButton.style.display = progress ? "block" : "none"
+  }
+
+  /**
+   * Oculta el menú principal con una transición
+   */
+  hide() {
+    const overlay = this.domElements.menuOverlay
+    if (!overlay) return
+
+    overlay.style.opacity = "0"
+    this.isVisible = false
+    setTimeout(() => {
+      // No ocultar si se volvió a mostrar durante la transición
+      if (!this.isVisible) {
+        overlay.style.display = "none"
+      }
+    }, 500)
+    console.log("📋 [MENU] Menú oculto")
+  }
+
   /**
    * CORREGIDO: Maneja el inicio del juego con mejor logging
    */
@@ -409,6 +511,11 @@ export class MenuSystem {
       return false
     }
 
+    if (settings.playerCount < MIN_PLAYERS || settings.playerCount > MAX_PLAYERS) {
+      console.error("❌ [MENU] Número de jugadores fuera de rango")
+      return false
+    }
+
     return true
   }
 
@@ -418,10 +525,13 @@ export class MenuSystem {
   getGameSettings() {
     const settings = {
       timeLimit: Number.parseInt(this.domElements.timeSelect?.value || "60"),
-      showAimLine: this.domElements.aimLineToggle?.checked || true,
+      showAimLine: this.domElements.aimLineToggle?.checked ?? true,
       controlMode: this.domElements.controlModeSelect?.value || "flipper",
       pointerStyle: this.domElements.pointerStyleSelect?.value || "orbital",
-      showTrajectory: this.domElements.trajectoryToggle?.checked || true,
+      showTrajectory: this.domElements.trajectoryToggle?.checked ?? true,
+      trajectoryBounces: Number.parseInt(this.domElements.trajectoryBouncesSelect?.value || "2"),
+      playerCount: Number.parseInt(this.domElements.playerCountSelect?.value || "1"),
+      aiDifficulty: this.domElements.aiOpponentSelect?.value || "off",
       soundEnabled: this.domElements.soundToggle?.checked || false,
     }
 
@@ -457,24 +567,56 @@ export class MenuSystem {
 - Completa todos los niveles antes de que se acabe el tiempo
 
 🎮 CONTROLES:
-- Arrastra una estrella para apuntar y disparar
+- Modo Arrastre: tira de una estrella hacia atrás; cuanto más lejos, más fuerte
+- Modo Flipper: tira para apuntar y suelta cuando el medidor marque la potencia deseada
+- Teclado: A/D para apuntar, W/S para la potencia (Arrastre), Enter para disparar
+  (en Flipper mantén Enter y suéltalo en el momento justo)
 - Usa las flechas del teclado para mover la cámara
 - Presiona ESPACIO para cambiar de estrella
 - Presiona ESC para pausar el juego
+- Presiona E para usar un power-up recogido
 
-⭐ ESTRELLAS:
-- Amarilla: Estrella principal
-- Azul: Estrella de precisión  
-- Roja: Estrella de potencia
+⭐ ESTRELLAS (pasa el ratón por STAR en el HUD para ver su habilidad):
+- Amarilla: Estrella principal. El agujero activo la captura desde más lejos
+- Azul: Estrella de precisión. Pasa por encima de los agujeros inactivos sin rebotar
+- Roja: Estrella de potencia. Rompe los meteoritos en lugar de rebotar, sin penalización
 
-🚀 POWER-UPS:
+🚀 POWER-UPS (recógelos golpeándolos con una estrella):
 - Morado: Cámara lenta (5 segundos)
 - Azul: Escudo protector (8 segundos)
 - Naranja: Imán magnético (6 segundos)
 
+🏆 PUNTUACIÓN:
+- Bandas: puntos extra por cada rebote en los bordes antes de entrar
+- Carambolas, varias estrellas en un tiro y tiros largos también suman
+- Mete estrellas seguidas para subir el COMBO (hasta ×3)
+
+🧩 PUZLES:
+- Sin límite de tiempo, pero cada nivel tiene un número de tiros limitado
+- Termina en el par o por debajo para conseguir 3 estrellas
+
+📅 RETO DIARIO:
+- Un nivel nuevo cada día, el mismo para todos
+- Solo hay un intento puntuado por día: ¡comparte tu resultado!
+
+👥 MULTIJUGADOR (2-4 jugadores en el mismo equipo):
+- Los jugadores se turnan para disparar
+- Meter una estrella conserva el turno
+- Fallar o chocar con un meteorito pasa el turno al siguiente jugador
+- Elige un OPONENTE (Fácil, Normal o Difícil) para jugar contra la IA
+
 💥 OBSTÁCULOS:
 - Meteoritos rojos: Te quitan puntos y te regresan al inicio
-- Agujeros incorrectos: Penalización de puntos`
+- Planetas: Curvan la trayectoria de las estrellas y rebotan si chocas con ellos
+- Agujeros negros: Atraen con fuerza y se tragan la estrella (vuelve a su salida)
+- Repulsores: Empujan las estrellas hacia fuera
+- Agujeros de gusano: La estrella sale por el de su mismo color sin perder velocidad
+- Muros y asteroides: Las estrellas rebotan en ellos, ¡úsalos para hacer bandas!
+- Bumpers: Devuelven la estrella más rápido de lo que llegó
+- Agujeros móviles: Algunos agujeros se desplazan u orbitan, ¡calcula el momento!
+- En niveles avanzados el agujero activo cambia cada pocos segundos o tras cada acierto
+- Agujeros incorrectos: Penalización de puntos
+- Velocidad: Una estrella demasiado rápida rebota en el borde del agujero (¡lip-out!)`
 
     alert(instructions)
   }
@@ -5,188 +5,545 @@
  * - Movimiento de estrellas
  * - Colisiones
  * - Rebotes y trayectorias
+ * - Gravedad de planetas, agujeros negros y repulsores
+ * - Teletransporte entre parejas de agujeros de gusano
+ * - Agujeros en movimiento y calendario de agujero activo
+ * - Obstáculos fijos: muros, bumpers y asteroides poligonales
+ *
+ * No depende del DOM: trabaja con datos planos de entidades y comunica los
+ * eventos al objeto `game` recibido (si lo hay). El dibujado vive en
+ * renderer.js, así que el motor funciona también en Node:
+ *
+ *   const physics = new PhysicsEngine(null, { random: new SeededRandom(42) })
+ *   physics.initialize(level)
+ *   physics.step()
+ *   physics.getState()
  */
 
+import { SeededRandom } from "./random.js"
+
+/**
+ * Tipos de estrella: propiedades físicas y habilidad de cada color
+ */
+export const STAR_PROPERTIES = {
+  yellow: {
+    label: "Main",
+    mass: 1,
+    restitution: 0.8,
+    ability: {
+      name: "Wide Capture",
+      description: "The active hole swallows it from further away",
+      captureBonus: 8, // px extra de radio de captura
+    },
+  },
+  blue: {
+    label: "Precision",
+    mass: 0.8,
+    restitution: 0.9,
+    ability: {
+      name: "Phase",
+      description: "Glides over inactive holes without being pushed away",
+      ignoresInactiveHoles: true,
+    },
+  },
+  red: {
+    label: "Power",
+    mass: 1.2,
+    restitution: 0.7,
+    ability: {
+      name: "Smash",
+      description: "Smashes meteorites instead of bouncing off them, with no penalty",
+      smashesMeteorites: true,
+      smashSlowdown: 0.7, // velocidad que conserva tras romper un meteorito
+    },
+  },
+}
+
+/**
+ * Fuentes de gravedad que los niveles pueden colocar en el tablero.
+ * Aceleración = gravity · mass / d²: una masa negativa repele.
+ */
+export const GRAVITY_SOURCE_TYPES = {
+  planet: { label: "Planet", cssClass: "planet", mass: 2500, radius: 30, solid: true },
+  blackHole: { label: "Black Hole", cssClass: "black-hole", mass: 4000, radius: 14, swallows: true },
+  repulsor: { label: "Repulsor", cssClass: "repulsor", mass: -2500, radius: 18 },
+}
+
+/**
+ * Obstáculos fijos del tablero. Los muros (polilínea abierta) y los asteroides
+ * (polígono cerrado) se definen con puntos relativos a (x, y); los bumpers son
+ * círculos. Sin restitución propia se usa la de la estrella.
+ */
+export const OBSTACLE_TYPES = {
+  wall: { label: "Wall", cssClass: "wall", minPoints: 2 },
+  bumper: { label: "Bumper", cssClass: "bumper", radius: 24, restitution: 1.3 },
+  polygon: { label: "Asteroid", cssClass: "asteroid", minPoints: 3, restitution: 0.6 },
+}
+
 export class PhysicsEngine {
-  constructor(game) {
-    console.log("🧪 [PHYSICS] Inicializando motor de física...")
+  constructor(game, options = {}) {
+    // Las simulaciones de predicción no escriben en la consola
+    this.silent = Boolean(options.silent)
+    this.log("🧪 [PHYSICS] Inicializando motor de física...")
 
     this.game = game
+    this.random = options.random || game?.random || new SeededRandom()
     this.gravity = 0.2
     this.friction = 0.98
     this.minSpeed = 0.5
     this.stars = []
     this.holes = []
     this.meteorites = []
+    this.gravitySources = []
+    this.wormholes = []
+    this.obstacles = []
+    this.pickups = []
     this.enabled = true
     this.collisionThreshold = 25
     this.activeHole = null
-    this.lastUpdateTime = 0
-    this.useDeltaTime = true
+    this.activeSchedule = null // Rotación del agujero activo (por tiempo o tras cada estrella)
+    this.boardWidth = 1600
+    this.boardHeight = 800
+
+    // Reloj de simulación de paso fijo
+    this.lastUpdateTime = null
+    this.accumulator = 0
+    this.tick = 0
+
+    // Efectos de power-ups
+    this.timeScale = 1
+    this.shieldActive = false
+    this.magnetActive = false
 
     // Constantes
+    this.FIXED_TIMESTEP = 1000 / 60 // ms simulados por paso
+    this.MAX_FRAME_TIME = 250 // ms máximos acumulados por frame
     this.MAX_VELOCITY = 25
     this.STAR_RADIUS = 16
     this.HOLE_RADIUS = 20
+    this.CAPTURE_SPEED = 8 // Velocidad máxima (px por paso) a la que una estrella cae en un agujero
+    this.LIP_OUT_ANGLE = 0.6 // Desvío máximo (rad) al escupir una estrella descentrada
+    this.LIP_OUT_DAMPING = 0.7 // Velocidad que conserva tras rebotar en el borde
+    this.ROLL_OVER_OFFSET = 0.25 // Fracción del radio: más centrada, una estrella rápida pasa sin tocar el borde
+    this.INACTIVE_HOLE_PUSH = 0.6 // Empuje por paso de los agujeros inactivos a las estrellas lentas
     this.METEORITE_RADIUS = 15
+    this.WORMHOLE_RADIUS = 22
+    this.WORMHOLE_COOLDOWN = 30 // Pasos sin poder volver a entrar tras un salto
+    this.WALL_THICKNESS = 6
+    this.PICKUP_RADIUS = 14
+    this.MAGNET_STRENGTH = 0.15
     this.POWER_FACTOR = 0.12
-    this.STAR_PROPERTIES = {
-      yellow: { mass: 1, restitution: 0.8 },
-      blue: { mass: 0.8, restitution: 0.9 },
-      red: { mass: 1.2, restitution: 0.7 },
-    }
+    this.PREDICTION_STEPS = 240 // pasos simulados como máximo (~4 s)
+    this.PREDICTION_SAMPLE_RATE = 3 // un punto cada N pasos
+    this.STAR_PROPERTIES = STAR_PROPERTIES
+
+    this.log("✅ [PHYSICS] Motor de física inicializado")
+  }
 
-    console.log("✅ [PHYSICS] Motor de física inicializado")
+  /**
+   * Escribe en la consola salvo en simulaciones silenciosas
+   */
+  log(message) {
+    if (!this.silent) {
+      console.log(message)
+    }
   }
 
   /**
-   * Inicializa el motor de física
+   * Notifica un evento físico al juego (si lo escucha)
    */
-  initialize() {
-    console.log("🚀 [PHYSICS] Configurando elementos físicos...")
+  notify(event, ...args) {
+    if (this.game && typeof this.game[event] === "function") {
+      this.game[event](...args)
+    }
+  }
 
-    this.initializeStars()
-    this.initializeHoles()
-    this.initializeMeteorites()
+  /**
+   * Inicializa el motor de física a partir de los datos de un nivel
+   */
+  initialize(level) {
+    this.log(`🚀 [PHYSICS] Configurando elementos físicos del nivel "${level.name}"...`)
+
+    this.boardWidth = level.board.width
+    this.boardHeight = level.board.height
+
+    this.initializeStars(level.stars)
+    this.initializeHoles(level.holes)
+    this.initializeMeteorites(level.meteorites)
+    this.initializeGravitySources(level.gravitySources || [])
+    this.initializeWormholes(level.wormholes || [])
+    this.initializeObstacles(level.obstacles || [])
+    this.pickups = []
     this.setActiveHole()
+    this.initializeActiveSchedule(level.activeSchedule)
 
-    this.lastUpdateTime = performance.now()
+    this.tick = 0
+    this.resetClock()
 
-    console.log("✅ [PHYSICS] Elementos físicos configurados")
+    this.log("✅ [PHYSICS] Elementos físicos configurados")
   }
 
   /**
    * Inicializa las estrellas con propiedades físicas
    */
-  initializeStars() {
+  initializeStars(starData) {
     this.stars = []
-    const starElements = [
-      { id: "star1", type: "yellow" },
-      { id: "star2", type: "blue" },
-      { id: "star3", type: "red" },
-    ]
-
-    starElements.forEach((starInfo) => {
-      const element = document.getElementById(starInfo.id)
-      if (!element) {
-        console.error(`❌ [PHYSICS] Estrella ${starInfo.id} no encontrada`)
-        return
-      }
 
+    starData.forEach((starInfo) => {
       // Propiedades físicas
       const starProps = this.STAR_PROPERTIES[starInfo.type]
+      if (!starProps) {
+        console.error(`❌ [PHYSICS] Tipo de estrella desconocido: ${starInfo.type}`)
+        return
+      }
+
       const star = {
         id: starInfo.id,
-        element: element,
         type: starInfo.type,
-        x: parseInt(element.style.left) || 0,
-        y: parseInt(element.style.top) || 0,
+        x: starInfo.x,
+        y: starInfo.y,
+        spawnX: starInfo.x,
+        spawnY: starInfo.y,
         velocity: { x: 0, y: 0 },
         mass: starProps.mass,
         restitution: starProps.restitution,
         moving: false,
         inHole: false,
+        holeId: null,
+        wormholeCooldown: 0,
+        insideWormhole: null, // Agujero de gusano del que aún no ha salido
+        lipOutHole: null, // Agujero cuyo borde la acaba de escupir
         rotation: 0,
         radius: this.STAR_RADIUS,
+        prevX: starInfo.x,
+        prevY: starInfo.y,
       }
 
       this.stars.push(star)
-      console.log(
+      this.log(
         `⭐ [PHYSICS] Estrella ${star.id} inicializada en (${star.x}, ${star.y}) con tipo ${star.type}`,
       )
     })
   }
 
+  /**
+   * Habilidad del tipo de una estrella (objeto vacío si no tiene)
+   */
+  getStarAbility(star) {
+    return this.STAR_PROPERTIES[star.type]?.ability || {}
+  }
+
   /**
    * Inicializa los agujeros con propiedades físicas
    */
-  initializeHoles() {
+  initializeHoles(holeData) {
     this.holes = []
-    const holeElements = document.querySelectorAll(".hole")
 
-    holeElements.forEach((element, index) => {
+    holeData.forEach((holeInfo) => {
       const hole = {
-        id: `hole${index + 1}`,
-        element: element,
-        x: parseInt(element.style.left) || 0,
-        y: parseInt(element.style.top) || 0,
+        id: holeInfo.id,
+        x: holeInfo.x,
+        y: holeInfo.y,
         radius: this.HOLE_RADIUS,
-        isActive: element.classList.contains("active"),
-      }
-
-      // Si usa transformTranslate, extraer la posición
-      if (element.style.transform?.includes("translate")) {
-        const matches = element.style.transform.match(/translate\((.+)%,\s*(.+)%\)/)
-        if (matches && matches.length === 3) {
-          // Ajustar por el % y el centro del elemento padre
-          const board = document.getElementById("unifiedBoard")
-          if (board) {
-            const boardWidth = board.offsetWidth
-            const boardHeight = board.offsetHeight
-
-            hole.x = boardWidth * (parseFloat(matches[1]) / 100)
-            hole.y = boardHeight * (parseFloat(matches[2]) / 100)
-          }
-        }
+        isActive: holeInfo.active,
+        captureSpeed: holeInfo.captureSpeed ?? this.CAPTURE_SPEED,
+        motion: holeInfo.motion ? this.createHoleMotion(holeInfo) : null,
+        prevX: holeInfo.x,
+        prevY: holeInfo.y,
       }
 
       this.holes.push(hole)
-      console.log(
+      this.log(
         `🕳️ [PHYSICS] Agujero ${hole.id} inicializado en (${hole.x}, ${hole.y}), activo: ${hole.isActive}`,
       )
     })
 
-    console.log(`✅ [PHYSICS] ${this.holes.length} agujeros inicializados`)
+    this.log(`✅ [PHYSICS] ${this.holes.length} agujeros inicializados`)
+  }
+
+  /**
+   * Estado de movimiento de un agujero: ruta en bucle (linear), ida y vuelta
+   * (pingPong) u órbita circular alrededor de un centro (orbit)
+   */
+  createHoleMotion(holeInfo) {
+    const motion = holeInfo.motion
+
+    if (motion.type === "orbit") {
+      const dx = holeInfo.x - motion.center.x
+      const dy = holeInfo.y - motion.center.y
+      return {
+        type: "orbit",
+        speed: motion.speed,
+        center: { x: motion.center.x, y: motion.center.y },
+        radius: Math.hypot(dx, dy),
+        angle: Math.atan2(dy, dx),
+      }
+    }
+
+    return {
+      type: motion.type,
+      speed: motion.speed,
+      path: motion.path.map((point) => ({ x: point.x, y: point.y })),
+      pathIndex: 0,
+      direction: 1,
+    }
   }
 
   /**
    * Inicializa los meteoritos con propiedades físicas
    */
-  initializeMeteorites() {
+  initializeMeteorites(meteoriteData) {
     this.meteorites = []
-    const meteoriteElements = document.querySelectorAll(".meteorite")
 
-    meteoriteElements.forEach((element, index) => {
+    meteoriteData.forEach((meteoriteInfo) => {
+      // Sin dirección definida, el meteorito sale en una dirección aleatoria
+      const angle =
+        meteoriteInfo.direction !== undefined
+          ? (meteoriteInfo.direction * Math.PI) / 180
+          : this.random.range(0, Math.PI * 2)
+
       const meteorite = {
-        id: `meteorite${index + 1}`,
-        element: element,
-        x: parseInt(element.style.left) || 0,
-        y: parseInt(element.style.top) || 0,
+        id: meteoriteInfo.id,
+        x: meteoriteInfo.x,
+        y: meteoriteInfo.y,
         radius: this.METEORITE_RADIUS,
-        velocity: { x: (Math.random() - 0.5) * 2, y: (Math.random() - 0.5) * 2 },
-        rotationSpeed: (Math.random() - 0.5) * 4,
+        speed: meteoriteInfo.speed,
+        velocity: { x: Math.cos(angle) * meteoriteInfo.speed, y: Math.sin(angle) * meteoriteInfo.speed },
+        path: meteoriteInfo.path ? meteoriteInfo.path.map((point) => ({ x: point.x, y: point.y })) : null,
+        pathIndex: 0,
+        rotationSpeed: this.random.range(-2, 2),
         rotation: 0,
+        prevX: meteoriteInfo.x,
+        prevY: meteoriteInfo.y,
       }
 
       this.meteorites.push(meteorite)
-      console.log(
+      this.log(
         `☄️ [PHYSICS] Meteorito ${meteorite.id} inicializado en (${meteorite.x}, ${meteorite.y})`,
       )
     })
 
-    console.log(`✅ [PHYSICS] ${this.meteorites.length} meteoritos inicializados`)
+    this.log(`✅ [PHYSICS] ${this.meteorites.length} meteoritos inicializados`)
+  }
+
+  /**
+   * Inicializa las fuentes de gravedad (masa y radio por defecto según el tipo)
+   */
+  initializeGravitySources(sourceData) {
+    this.gravitySources = []
+
+    sourceData.forEach((sourceInfo) => {
+      const definition = GRAVITY_SOURCE_TYPES[sourceInfo.type]
+      if (!definition) {
+        console.error(`❌ [PHYSICS] Tipo de fuente de gravedad desconocido: ${sourceInfo.type}`)
+        return
+      }
+
+      this.gravitySources.push({
+        id: sourceInfo.id,
+        type: sourceInfo.type,
+        x: sourceInfo.x,
+        y: sourceInfo.y,
+        mass: sourceInfo.mass ?? definition.mass,
+        radius: sourceInfo.radius ?? definition.radius,
+        solid: Boolean(definition.solid),
+        swallows: Boolean(definition.swallows),
+      })
+    })
+
+    this.log(`✅ [PHYSICS] ${this.gravitySources.length} fuentes de gravedad inicializadas`)
+  }
+
+  /**
+   * Inicializa los agujeros de gusano (cada uno apunta a su pareja)
+   */
+  initializeWormholes(wormholeData) {
+    this.wormholes = wormholeData.map((wormholeInfo) => ({
+      id: wormholeInfo.id,
+      x: wormholeInfo.x,
+      y: wormholeInfo.y,
+      pair: wormholeInfo.pair,
+      exitAngle: ((wormholeInfo.exitAngle ?? 0) * Math.PI) / 180,
+      radius: this.WORMHOLE_RADIUS,
+    }))
+
+    this.log(`✅ [PHYSICS] ${this.wormholes.length} agujeros de gusano inicializados`)
   }
 
   /**
-   * Configura el agujero activo de forma aleatoria
+   * Inicializa los obstáculos: los muros y asteroides se guardan como
+   * segmentos en coordenadas del tablero
+   */
+  initializeObstacles(obstacleData) {
+    this.obstacles = []
+
+    obstacleData.forEach((obstacleInfo) => {
+      const definition = OBSTACLE_TYPES[obstacleInfo.type]
+      if (!definition) {
+        console.error(`❌ [PHYSICS] Tipo de obstáculo desconocido: ${obstacleInfo.type}`)
+        return
+      }
+
+      const obstacle = {
+        id: obstacleInfo.id,
+        type: obstacleInfo.type,
+        x: obstacleInfo.x,
+        y: obstacleInfo.y,
+        restitution: obstacleInfo.restitution ?? definition.restitution ?? null,
+        radius: obstacleInfo.radius ?? definition.radius ?? 0,
+        segments: [],
+      }
+
+      if (obstacleInfo.points) {
+        const points = obstacleInfo.points.map((point) => ({ x: obstacle.x + point.x, y: obstacle.y + point.y }))
+        const segmentCount = obstacle.type === "polygon" ? points.length : points.length - 1
+        for (let i = 0; i < segmentCount; i++) {
+          const start = points[i]
+          const end = points[(i + 1) % points.length]
+          obstacle.segments.push({ x1: start.x, y1: start.y, x2: end.x, y2: end.y })
+        }
+      }
+
+      this.obstacles.push(obstacle)
+    })
+
+    this.log(`✅ [PHYSICS] ${this.obstacles.length} obstáculos inicializados`)
+  }
+
+  /**
+   * Añade un power-up recogible al tablero
+   */
+  addPickup(pickupInfo) {
+    this.pickups.push({
+      id: pickupInfo.id,
+      type: pickupInfo.type,
+      x: pickupInfo.x,
+      y: pickupInfo.y,
+      radius: this.PICKUP_RADIUS,
+    })
+  }
+
+  /**
+   * ¿Cabe un círculo de `radius` en (x, y) sin tocar ninguna entidad fija del
+   * tablero, estrella o power-up?
+   */
+  isAreaClear(x, y, radius) {
+    const circles = [...this.holes, ...this.gravitySources, ...this.wormholes, ...this.stars, ...this.pickups]
+    if (circles.some((entity) => Math.hypot(entity.x - x, entity.y - y) < entity.radius + radius)) {
+      return false
+    }
+
+    return this.obstacles.every((obstacle) => {
+      if (obstacle.type === "bumper") {
+        return Math.hypot(obstacle.x - x, obstacle.y - y) >= obstacle.radius + radius
+      }
+
+      const touchesSegment = obstacle.segments.some((segment) => {
+        const path = { prevX: segment.x1, prevY: segment.y1, x: segment.x2, y: segment.y2 }
+        const contact = this.getClosestStepPoint(path, { x, y })
+        return contact.distance < this.WALL_THICKNESS / 2 + radius
+      })
+      if (touchesSegment) return false
+
+      // Dentro de un asteroide (regla par-impar)
+      if (obstacle.type !== "polygon") return true
+      const crossings = obstacle.segments.filter(
+        (segment) =>
+          segment.y1 > y !== segment.y2 > y &&
+          x < segment.x1 + ((y - segment.y1) * (segment.x2 - segment.x1)) / (segment.y2 - segment.y1),
+      ).length
+      return crossings % 2 === 0
+    })
+  }
+
+  /**
+   * Desactiva todos los efectos de power-ups
+   */
+  resetEffects() {
+    this.timeScale = 1
+    this.shieldActive = false
+    this.magnetActive = false
+  }
+
+  /**
+   * Configura el agujero activo: respeta los marcados por el nivel o elige
+   * uno de forma aleatoria (reproducible con la semilla)
    */
   setActiveHole() {
-    // Remover clase activa de todos
+    const markedHoles = this.holes.filter((hole) => hole.isActive)
+
     this.holes.forEach((hole) => {
-      if (hole.element) {
-        hole.element.classList.remove("active")
-        hole.isActive = false
-      }
+      hole.isActive = false
     })
 
-    // Elegir uno aleatorio
-    const randomIndex = Math.floor(Math.random() * this.holes.length)
-    const activeHole = this.holes[randomIndex]
-    if (activeHole && activeHole.element) {
-      activeHole.element.classList.add("active")
+    // Elegir uno aleatorio con el generador del juego si el nivel no marca ninguno
+    const activeHoles = markedHoles.length > 0 ? markedHoles : [this.random.pick(this.holes)]
+    this.activeHole = null
+
+    activeHoles.forEach((activeHole) => {
+      if (!activeHole) return
+
       activeHole.isActive = true
-      this.activeHole = activeHole
-      console.log(`🌟 [PHYSICS] Agujero activo: ${activeHole.id} en (${activeHole.x}, ${activeHole.y})`)
+      this.activeHole = this.activeHole || activeHole
+      this.log(`🌟 [PHYSICS] Agujero activo: ${activeHole.id} en (${activeHole.x}, ${activeHole.y})`)
+    })
+  }
+
+  /**
+   * Prepara la rotación del agujero activo definida por el nivel:
+   * { mode: "timed", interval (s), holes? } o { mode: "afterPot", holes? }
+   */
+  initializeActiveSchedule(schedule) {
+    this.activeSchedule = null
+    if (!schedule) return
+
+    const holeIds = this.holes.map((hole) => hole.id)
+    const order = (schedule.holes || holeIds).filter((id) => holeIds.includes(id))
+    if (order.length === 0) return
+
+    this.activeSchedule = {
+      mode: schedule.mode,
+      interval: schedule.mode === "timed" ? Math.round((schedule.interval * 1000) / this.FIXED_TIMESTEP) : null, // pasos
+      order,
+      index: 0,
+      timer: 0,
+    }
+    this.activateHole(order[0])
+  }
+
+  /**
+   * Deja activo únicamente el agujero indicado
+   */
+  activateHole(holeId) {
+    this.holes.forEach((hole) => {
+      hole.isActive = hole.id === holeId
+    })
+    this.activeHole = this.holes.find((hole) => hole.isActive) || null
+    this.log(`🌟 [PHYSICS] Agujero activo: ${holeId}`)
+  }
+
+  /**
+   * Pasa al siguiente agujero del calendario
+   */
+  cycleActiveHole() {
+    const schedule = this.activeSchedule
+    schedule.index = (schedule.index + 1) % schedule.order.length
+    schedule.timer = 0
+
+    this.activateHole(schedule.order[schedule.index])
+    this.notify("onActiveHoleChanged", schedule.order[schedule.index])
+  }
+
+  /**
+   * Avanza el calendario por tiempo (en pasos de física)
+   */
+  updateActiveSchedule() {
+    const schedule = this.activeSchedule
+    if (!schedule || schedule.mode !== "timed") return
+
+    schedule.timer++
+    if (schedule.timer >= schedule.interval) {
+      this.cycleActiveHole()
     }
   }
 
@@ -201,62 +558,255 @@ export class PhysicsEngine {
     const star = this.stars.find((s) => s.id === selectedStar)
     if (!star) return
 
+    const velocity = this.getShotVelocity(star, gameState, dragDistance)
+    if (!velocity) return
+
+    // Aplicar velocidad a la estrella
+    star.velocity.x = velocity.x
+    star.velocity.y = velocity.y
+    star.moving = true
+    star.inHole = false
+
+    this.log(
+      `🚀 [PHYSICS] Estrella ${selectedStar} disparada con velocidad (${velocity.x.toFixed(2)}, ${velocity.y.toFixed(2)}) y poder ${velocity.power.toFixed(2)}`,
+    )
+  }
+
+  /**
+   * Calcula la velocidad de salida de un disparo (compartido con la predicción)
+   */
+  getShotVelocity(star, gameState, dragDistance) {
     // Calcular dirección y poder
     const dx = gameState.startPos.x - gameState.currentPos.x
     const dy = gameState.startPos.y - gameState.currentPos.y
     const directionLength = Math.sqrt(dx * dx + dy * dy)
 
     // Evitar división por cero
-    if (directionLength === 0) return
+    if (directionLength === 0) return null
 
     // Calcular velocidad basada en distancia y tiempo
     let power = dragDistance * this.POWER_FACTOR
     power = Math.min(power, this.MAX_VELOCITY) // Limitar poder máximo
 
     // Calcular velocidad final, considerando la masa de la estrella
-    const vx = (dx / directionLength) * power * (1 / star.mass)
-    const vy = (dy / directionLength) * power * (1 / star.mass)
-
-    // Aplicar velocidad a la estrella
-    star.velocity.x = vx
-    star.velocity.y = vy
-    star.moving = true
-    star.inHole = false
+    return {
+      x: (dx / directionLength) * power * (1 / star.mass),
+      y: (dy / directionLength) * power * (1 / star.mass),
+      power,
+    }
+  }
 
-    console.log(
-      `🚀 [PHYSICS] Estrella ${selectedStar} disparada con velocidad (${vx.toFixed(2)}, ${vy.toFixed(2)}) y poder ${power.toFixed(2)}`,
+  /**
+   * Estado serializable de la simulación (datos planos, sin referencias)
+   */
+  getState() {
+    return JSON.parse(
+      JSON.stringify({
+        tick: this.tick,
+        board: { width: this.boardWidth, height: this.boardHeight },
+        stars: this.stars,
+        holes: this.holes,
+        meteorites: this.meteorites,
+        gravitySources: this.gravitySources,
+        wormholes: this.wormholes,
+        obstacles: this.obstacles,
+        activeSchedule: this.activeSchedule,
+        pickups: this.pickups,
+        effects: {
+          timeScale: this.timeScale,
+          shieldActive: this.shieldActive,
+          magnetActive: this.magnetActive,
+        },
+      }),
     )
   }
 
   /**
-   * CORREGIDO: Método principal de actualización física
+   * Restaura un estado obtenido con getState()
+   */
+  setState(state) {
+    const copy = JSON.parse(JSON.stringify(state))
+
+    this.tick = copy.tick
+    this.boardWidth = copy.board.width
+    this.boardHeight = copy.board.height
+    this.stars = copy.stars
+    this.holes = copy.holes
+    this.meteorites = copy.meteorites
+    this.gravitySources = copy.gravitySources || []
+    this.wormholes = copy.wormholes || []
+    this.obstacles = copy.obstacles || []
+    this.activeSchedule = copy.activeSchedule || null
+    this.pickups = copy.pickups
+    this.timeScale = copy.effects.timeScale
+    this.shieldActive = copy.effects.shieldActive
+    this.magnetActive = copy.effects.magnetActive
+    this.activeHole = this.holes.find((hole) => hole.isActive) || null
+    this.resetClock()
+  }
+
+  /**
+   * Crea una copia silenciosa de la simulación que notifica a `listener`.
+   * Usa su propio generador para no gastar la secuencia de la partida.
+   */
+  createSimulation(listener = null, random = this.random.fork()) {
+    const simulation = new PhysicsEngine(listener, { silent: true, random })
+
+    simulation.friction = this.friction
+    simulation.gravity = this.gravity
+    simulation.minSpeed = this.minSpeed
+    simulation.collisionThreshold = this.collisionThreshold
+    simulation.setState(this.getState())
+
+    return simulation
+  }
+
+  /**
+   * Predice la trayectoria del disparo que se está apuntando.
+   *
+   * Ejecuta las mismas reglas de step() sobre una copia del estado (fricción,
+   * gravedad, rebotes con restitución, desvíos por meteoritos y choques entre
+   * estrellas) hasta que la estrella se detiene, cae en un agujero o en un
+   * agujero negro, o supera maxSteps o maxBounces. Devuelve los puntos
+   * muestreados y cómo termina el recorrido.
    */
-  update(gameState) {
-    if (!this.enabled) return
+  predictTrajectory(gameState, dragDistance, options = {}) {
+    const maxSteps = options.maxSteps ?? this.PREDICTION_STEPS
+    const maxBounces = options.maxBounces ?? Infinity
+
+    const star = this.stars.find((s) => s.id === gameState.selectedStar)
+    if (!star || star.inHole) return null
+
+    const velocity = this.getShotVelocity(star, gameState, dragDistance)
+    if (!velocity) return null
+
+    // Contar rebotes a través de los mismos eventos que recibe el juego
+    let bounces = 0
+    let swallowedBy = null
+    const countBounce = () => bounces++
+    const simulation = this.createSimulation({
+      onStarBounce: countBounce,
+      onStarHitMeteorite: countBounce,
+      onShieldAbsorbed: countBounce,
+      onStarCollision: countBounce,
+      onStarSwallowed: (starId, sourceId) => {
+        if (starId === star.id) swallowedBy = simulation.gravitySources.find((source) => source.id === sourceId)
+      },
+    })
 
-    // Calcular delta time para física más consistente
-    const currentTime = performance.now()
-    let deltaTime = (currentTime - this.lastUpdateTime) / 16.67 // Normalizado a ~60fps
-    this.lastUpdateTime = currentTime
+    const simulatedStar = simulation.stars.find((s) => s.id === star.id)
+    simulatedStar.velocity.x = velocity.x
+    simulatedStar.velocity.y = velocity.y
+    simulatedStar.moving = true
+
+    const points = []
+    for (let i = 1; i <= maxSteps; i++) {
+      simulation.step()
+
+      // La estrella tragada reaparece en su salida: el recorrido acaba en el agujero negro
+      if (swallowedBy) {
+        points.push({ x: swallowedBy.x, y: swallowedBy.y })
+        break
+      }
 
-    // Limitar deltaTime para evitar saltos grandes
-    if (deltaTime > 3) deltaTime = 1
-    if (!this.useDeltaTime) deltaTime = 1
+      const finished = !simulatedStar.moving || simulatedStar.inHole || bounces > maxBounces
+      if (i % this.PREDICTION_SAMPLE_RATE === 0 || finished) {
+        points.push({ x: simulatedStar.x, y: simulatedStar.y })
+      }
+
+      if (finished) break
+    }
+
+    return {
+      points,
+      bounces: Math.min(bounces, maxBounces),
+      inHole: simulatedStar.inHole,
+      holeId: simulatedStar.holeId,
+      swallowed: Boolean(swallowedBy),
+    }
+  }
+
+  /**
+   * Método principal de actualización física.
+   *
+   * Avanza la simulación en pasos fijos de FIXED_TIMESTEP usando un acumulador,
+   * de modo que el mismo disparo produce el mismo resultado a cualquier tasa de
+   * refresco. Devuelve el número de pasos simulados en este frame.
+   */
+  update(timestamp = performance.now()) {
+    if (!this.enabled) return 0
+
+    if (this.lastUpdateTime === null) {
+      this.lastUpdateTime = timestamp
+    }
+
+    // Limitar el tiempo de frame para evitar saltos grandes tras bloqueos
+    const frameTime = Math.min(Math.max(timestamp - this.lastUpdateTime, 0), this.MAX_FRAME_TIME)
+    this.lastUpdateTime = timestamp
+
+    // La cámara lenta reduce el ritmo al que se acumulan pasos, no su tamaño
+    this.accumulator += frameTime * this.timeScale
+
+    let steps = 0
+    while (this.accumulator >= this.FIXED_TIMESTEP) {
+      this.step()
+      this.accumulator -= this.FIXED_TIMESTEP
+      steps++
+    }
+
+    return steps
+  }
+
+  /**
+   * Fracción del siguiente paso ya acumulada, para interpolar el dibujado
+   */
+  getInterpolationAlpha() {
+    return this.accumulator / this.FIXED_TIMESTEP
+  }
+
+  /**
+   * Avanza la simulación exactamente un paso fijo
+   */
+  step() {
+    // Guardar posiciones previas para la interpolación
+    this.stars.forEach((star) => {
+      star.prevX = star.x
+      star.prevY = star.y
+    })
+    this.meteorites.forEach((meteorite) => {
+      meteorite.prevX = meteorite.x
+      meteorite.prevY = meteorite.y
+    })
+    this.holes.forEach((hole) => {
+      hole.prevX = hole.x
+      hole.prevY = hole.y
+    })
 
     // Actualizar estrellas
-    this.updateStars(deltaTime)
+    this.updateStars()
 
     // Actualizar meteoritos
-    this.updateMeteorites(deltaTime)
+    this.updateMeteorites()
 
-    // Actualizar posición de la cámara si hay una estrella en movimiento
-    this.updateCamera(gameState)
+    // Mover agujeros y rotar el agujero activo
+    this.updateHoles()
+    this.updateActiveSchedule()
+
+    this.tick++
+  }
+
+  /**
+   * Reinicia el reloj de simulación (descarta el tiempo acumulado)
+   */
+  resetClock() {
+    this.lastUpdateTime = null
+    this.accumulator = 0
   }
 
   /**
    * Actualiza la posición y física de las estrellas
    */
-  updateStars(deltaTime) {
+  updateStars() {
     this.stars.forEach((star) => {
       if (!star.moving || star.inHole) return
 
@@ -264,22 +814,44 @@ export class PhysicsEngine {
       star.velocity.x *= this.friction
       star.velocity.y *= this.friction
 
-      // Actualizar posición con deltaTime
-      star.x += star.velocity.x * deltaTime
-      star.y += star.velocity.y * deltaTime
+      // Atracción del imán hacia el agujero activo
+      if (this.magnetActive) {
+        this.applyMagnet(star)
+      }
+
+      // Atracción o repulsión de las fuentes de gravedad
+      this.applyGravity(star)
+
+      // Actualizar posición
+      star.x += star.velocity.x
+      star.y += star.velocity.y
 
       // Actualizar rotación
-      star.rotation += (star.velocity.x * 0.1) * deltaTime
+      star.rotation += star.velocity.x * 0.1
 
       // Verificar colisiones con límites
       this.checkBoundaryCollisions(star)
 
+      // Verificar choques con muros, bumpers y asteroides
+      if (this.checkObstacleCollisions(star)) {
+        this.notify("onStarBounce", star.id)
+      }
+
+      // Verificar choques con planetas y agujeros negros
+      this.checkGravitySourceCollisions(star)
+
+      // Verificar entradas en agujeros de gusano
+      this.checkWormholeCollisions(star)
+
       // Verificar colisiones con agujeros
       this.checkHoleCollisions(star)
 
       // Verificar colisiones con meteoritos
       this.checkMeteoriteCollisions(star)
 
+      // Verificar power-ups recogidos
+      this.checkPickupCollisions(star)
+
       // Detener si velocidad es muy baja
       const speed = Math.sqrt(star.velocity.x * star.velocity.x + star.velocity.y * star.velocity.y)
       if (speed < this.minSpeed) {
@@ -287,48 +859,36 @@ export class PhysicsEngine {
         star.velocity.y = 0
         star.moving = false
       }
-
-      // Actualizar elemento DOM
-      this.updateStarElement(star)
     })
+
+    // Verificar colisiones entre estrellas
+    this.checkStarCollisions()
   }
 
   /**
-   * Actualiza los elementos visuales de estrellas
+   * Actualiza la posición y física de los meteoritos
    */
-  updateStarElement(star) {
-    if (star.element) {
-      star.element.style.left = `${star.x}px`
-      star.element.style.top = `${star.y}px`
-
+  updateMeteorites() {
+    this.meteorites.forEach((meteorite) => {
       // Actualizar rotación
-      star.element.style.transform = `rotate(${star.rotation}rad)`
+      meteorite.rotation += meteorite.rotationSpeed * 0.01
 
-      // Si está en agujero, aplicar animación adicional
-      if (star.inHole) {
-        star.element.style.transform += " scale(0.5)" // Reducir tamaño
-        star.element.style.opacity = "0.3"
-      } else {
-        star.element.style.opacity = "1"
+      // Los meteoritos con ruta patrullan entre sus puntos
+      if (meteorite.path && meteorite.path.length > 1) {
+        this.followMeteoritePath(meteorite)
+        return
       }
-    }
-  }
 
-  /**
-   * Actualiza la posición y física de los meteoritos
-   */
-  updateMeteorites(deltaTime) {
-    this.meteorites.forEach((meteorite) => {
       // Actualizar posición
-      meteorite.x += meteorite.velocity.x * deltaTime
-      meteorite.y += meteorite.velocity.y * deltaTime
+      meteorite.x += meteorite.velocity.x
+      meteorite.y += meteorite.velocity.y
 
-      // Actualizar rotación
-      meteorite.rotation += meteorite.rotationSpeed * 0.01 * deltaTime
+      // Rebotar en los obstáculos sin perder velocidad
+      this.checkObstacleCollisions(meteorite, 1)
 
       // Rebotar en los límites
-      const boardWidth = 1600 // Ancho del tablero unificado
-      const boardHeight = 800 // Alto del tablero unificado
+      const boardWidth = this.boardWidth
+      const boardHeight = this.boardHeight
       const radius = meteorite.radius
 
       if (meteorite.x < radius || meteorite.x > boardWidth - radius) {
@@ -340,91 +900,558 @@ export class PhysicsEngine {
         meteorite.velocity.y *= -1
         meteorite.y = meteorite.y < radius ? radius : boardHeight - radius
       }
+    })
+  }
+
+  /**
+   * Mueve los agujeros con movimiento; las estrellas metidas van con ellos
+   */
+  updateHoles() {
+    this.holes.forEach((hole) => {
+      if (!hole.motion) return
 
-      // Actualizar elemento DOM
-      if (meteorite.element) {
-        meteorite.element.style.left = `${meteorite.x}px`
-        meteorite.element.style.top = `${meteorite.y}px`
-        meteorite.element.style.transform = `rotate(${meteorite.rotation}rad)`
+      const previousX = hole.x
+      const previousY = hole.y
+
+      if (hole.motion.type === "orbit") {
+        this.orbitHole(hole)
+      } else {
+        this.moveHoleAlongPath(hole)
       }
+
+      this.stars.forEach((star) => {
+        if (star.inHole && star.holeId === hole.id) {
+          star.x += hole.x - previousX
+          star.y += hole.y - previousY
+        }
+      })
     })
   }
 
+  /**
+   * Avanza un agujero por su órbita (speed en px por paso a lo largo del círculo)
+   */
+  orbitHole(hole) {
+    const motion = hole.motion
+    if (motion.radius === 0) return
+
+    motion.angle += motion.speed / motion.radius
+    hole.x = motion.center.x + Math.cos(motion.angle) * motion.radius
+    hole.y = motion.center.y + Math.sin(motion.angle) * motion.radius
+  }
+
+  /**
+   * Avanza un agujero por su ruta: en bucle (linear) o de ida y vuelta (pingPong)
+   */
+  moveHoleAlongPath(hole) {
+    const motion = hole.motion
+    const target = motion.path[motion.pathIndex]
+    const dx = target.x - hole.x
+    const dy = target.y - hole.y
+    const distance = Math.sqrt(dx * dx + dy * dy)
+
+    if (distance > motion.speed) {
+      hole.x += (dx / distance) * motion.speed
+      hole.y += (dy / distance) * motion.speed
+      return
+    }
+
+    // Punto alcanzado: elegir el siguiente
+    hole.x = target.x
+    hole.y = target.y
+
+    if (motion.type === "pingPong") {
+      const nextIndex = motion.pathIndex + motion.direction
+      if (nextIndex < 0 || nextIndex >= motion.path.length) {
+        motion.direction *= -1
+      }
+      motion.pathIndex += motion.direction
+    } else {
+      motion.pathIndex = (motion.pathIndex + 1) % motion.path.length
+    }
+  }
+
+  /**
+   * Mueve un meteorito hacia el siguiente punto de su ruta (en bucle)
+   */
+  followMeteoritePath(meteorite) {
+    const target = meteorite.path[meteorite.pathIndex]
+    const dx = target.x - meteorite.x
+    const dy = target.y - meteorite.y
+    const distance = Math.sqrt(dx * dx + dy * dy)
+
+    if (distance <= meteorite.speed) {
+      // Punto alcanzado: avanzar al siguiente
+      meteorite.x = target.x
+      meteorite.y = target.y
+      meteorite.pathIndex = (meteorite.pathIndex + 1) % meteorite.path.length
+      return
+    }
+
+    // Mantener la velocidad actualizada para colisiones y predicciones
+    meteorite.velocity.x = (dx / distance) * meteorite.speed
+    meteorite.velocity.y = (dy / distance) * meteorite.speed
+    meteorite.x += meteorite.velocity.x
+    meteorite.y += meteorite.velocity.y
+  }
+
   /**
    * Verifica colisiones con los límites del tablero
    */
   checkBoundaryCollisions(star) {
-    const boardWidth = 1600 // Ancho del tablero unificado
-    const boardHeight = 800 // Alto del tablero unificado
+    const boardWidth = this.boardWidth
+    const boardHeight = this.boardHeight
     const radius = star.radius
 
     // Colisión con bordes horizontales
     if (star.x < radius) {
       star.x = radius
       star.velocity.x *= -star.restitution
-      this.game.onStarBounce(star.id)
+      this.notify("onStarBounce", star.id)
     } else if (star.x > boardWidth - radius) {
       star.x = boardWidth - radius
       star.velocity.x *= -star.restitution
-      this.game.onStarBounce(star.id)
+      this.notify("onStarBounce", star.id)
     }
 
     // Colisión con bordes verticales
     if (star.y < radius) {
       star.y = radius
       star.velocity.y *= -star.restitution
-      this.game.onStarBounce(star.id)
+      this.notify("onStarBounce", star.id)
     } else if (star.y > boardHeight - radius) {
       star.y = boardHeight - radius
       star.velocity.y *= -star.restitution
-      this.game.onStarBounce(star.id)
+      this.notify("onStarBounce", star.id)
+    }
+  }
+
+  /**
+   * Choques de un cuerpo (estrella o meteorito) con los obstáculos. Sin
+   * `restitution` forzada se usa la del obstáculo o, si no tiene, la del cuerpo.
+   * Devuelve true si ha rebotado en alguno.
+   */
+  checkObstacleCollisions(body, restitution = null) {
+    let bounced = false
+
+    this.obstacles.forEach((obstacle) => {
+      const bodyRestitution = restitution ?? obstacle.restitution ?? body.restitution
+
+      if (obstacle.type === "bumper") {
+        if (this.collideWithCircle(body, obstacle, bodyRestitution)) {
+          this.notify("onBumperHit", obstacle.id)
+          bounced = true
+        }
+        return
+      }
+
+      // Un solo rebote por obstáculo aunque toque dos segmentos en una esquina
+      const hit = obstacle.segments.some((segment) =>
+        this.collideWithSegment(body, segment, this.WALL_THICKNESS / 2, bodyRestitution),
+      )
+      bounced = hit || bounced
+    })
+
+    // Los bumpers pueden acelerar: no superar la velocidad máxima
+    const speed = Math.hypot(body.velocity.x, body.velocity.y)
+    if (bounced && speed > this.MAX_VELOCITY) {
+      body.velocity.x *= this.MAX_VELOCITY / speed
+      body.velocity.y *= this.MAX_VELOCITY / speed
+    }
+
+    return bounced
+  }
+
+  /**
+   * Rebote de un cuerpo contra un círculo fijo (bumper)
+   */
+  collideWithCircle(body, circle, restitution) {
+    const dx = body.x - circle.x
+    const dy = body.y - circle.y
+    const distance = Math.sqrt(dx * dx + dy * dy)
+    const minDistance = body.radius + circle.radius
+    if (distance >= minDistance || distance === 0) return false
+
+    return this.reflect(body, circle.x, circle.y, dx / distance, dy / distance, minDistance, restitution)
+  }
+
+  /**
+   * Rebote de un cuerpo contra un segmento de grosor 2 · margin, usando la
+   * normal del segmento (o la del extremo más cercano en las puntas)
+   */
+  collideWithSegment(body, segment, margin, restitution) {
+    const { x1, y1, x2, y2 } = segment
+    const ex = x2 - x1
+    const ey = y2 - y1
+    const lengthSquared = ex * ex + ey * ey
+
+    // Punto del segmento más cercano al centro del cuerpo
+    const t = lengthSquared === 0 ? 0 : Math.min(Math.max(((body.x - x1) * ex + (body.y - y1) * ey) / lengthSquared, 0), 1)
+    const closestX = x1 + ex * t
+    const closestY = y1 + ey * t
+    const dx = body.x - closestX
+    const dy = body.y - closestY
+    const distance = Math.sqrt(dx * dx + dy * dy)
+    const minDistance = body.radius + margin
+    if (distance >= minDistance) return false
+
+    let nx
+    let ny
+    if (t > 0 && t < 1) {
+      // Normal hacia el lado del que venía: un cuerpo rápido no atraviesa el muro
+      const length = Math.sqrt(lengthSquared)
+      nx = -ey / length
+      ny = ex / length
+      if ((body.prevX - x1) * nx + (body.prevY - y1) * ny < 0) {
+        nx = -nx
+        ny = -ny
+      }
+    } else {
+      if (distance === 0) return false
+      nx = dx / distance
+      ny = dy / distance
+    }
+
+    return this.reflect(body, closestX, closestY, nx, ny, minDistance, restitution)
+  }
+
+  /**
+   * Saca el cuerpo a `minDistance` del punto de contacto y refleja su
+   * velocidad respecto a la normal (nx, ny)
+   */
+  reflect(body, contactX, contactY, nx, ny, minDistance, restitution) {
+    body.x = contactX + nx * minDistance
+    body.y = contactY + ny * minDistance
+
+    const normalVelocity = body.velocity.x * nx + body.velocity.y * ny
+    if (normalVelocity >= 0) return false
+
+    body.velocity.x -= (1 + restitution) * normalVelocity * nx
+    body.velocity.y -= (1 + restitution) * normalVelocity * ny
+    return true
+  }
+
+  /**
+   * Acelera una estrella hacia (o lejos de) cada fuente de gravedad
+   */
+  applyGravity(star) {
+    this.gravitySources.forEach((source) => {
+      const dx = source.x - star.x
+      const dy = source.y - star.y
+      const distance = Math.sqrt(dx * dx + dy * dy)
+      if (distance === 0) return
+
+      // La fuerza deja de crecer al llegar a la superficie (sin singularidad)
+      const minDistance = source.radius + star.radius
+      const acceleration = (this.gravity * source.mass) / Math.max(distance * distance, minDistance * minDistance)
+
+      star.velocity.x += (dx / distance) * acceleration
+      star.velocity.y += (dy / distance) * acceleration
+    })
+  }
+
+  /**
+   * Rebote en la superficie de los planetas y captura por agujeros negros
+   */
+  checkGravitySourceCollisions(star) {
+    for (const source of this.gravitySources) {
+      const dx = star.x - source.x
+      const dy = star.y - source.y
+      const distance = Math.sqrt(dx * dx + dy * dy)
+
+      if (source.swallows) {
+        if (distance < source.radius) {
+          this.swallowStar(star, source)
+          return
+        }
+        continue
+      }
+
+      const minDistance = source.radius + star.radius
+      if (!source.solid || distance >= minDistance || distance === 0) continue
+
+      // Sacar la estrella a la superficie y reflejar la velocidad según la normal
+      const nx = dx / distance
+      const ny = dy / distance
+      star.x = source.x + nx * minDistance
+      star.y = source.y + ny * minDistance
+
+      const normalVelocity = star.velocity.x * nx + star.velocity.y * ny
+      if (normalVelocity < 0) {
+        star.velocity.x -= (1 + star.restitution) * normalVelocity * nx
+        star.velocity.y -= (1 + star.restitution) * normalVelocity * ny
+        this.notify("onStarBounce", star.id)
+      }
     }
   }
 
   /**
-   * Verifica colisiones con agujeros
+   * Un agujero negro se traga la estrella: vuelve a su posición de salida
+   */
+  swallowStar(star, source) {
+    this.log(`🌑 [PHYSICS] ${source.id} se traga la estrella ${star.id}`)
+
+    star.x = star.spawnX
+    star.y = star.spawnY
+    star.prevX = star.x
+    star.prevY = star.y
+    star.velocity.x = 0
+    star.velocity.y = 0
+    star.moving = false
+
+    this.notify("onStarSwallowed", star.id, source.id)
+  }
+
+  /**
+   * Teletransporta la estrella que entra en un agujero de gusano a su pareja,
+   * conservando la velocidad (girada según el ángulo de salida de la pareja)
+   */
+  checkWormholeCollisions(star) {
+    if (star.wormholeCooldown > 0) star.wormholeCooldown--
+
+    const isInside = (wormhole) => Math.hypot(star.x - wormhole.x, star.y - wormhole.y) < wormhole.radius
+
+    // Solo cuenta como entrada cuando ha salido del agujero por el que apareció
+    if (star.insideWormhole) {
+      const current = this.wormholes.find((wormhole) => wormhole.id === star.insideWormhole)
+      if (current && isInside(current)) return
+      star.insideWormhole = null
+    }
+
+    if (star.wormholeCooldown > 0) return
+
+    const entrance = this.wormholes.find(isInside)
+    const exit = entrance && this.wormholes.find((wormhole) => wormhole.id === entrance.pair)
+    if (!exit) return
+
+    const cos = Math.cos(exit.exitAngle)
+    const sin = Math.sin(exit.exitAngle)
+    const { x: vx, y: vy } = star.velocity
+    star.velocity.x = vx * cos - vy * sin
+    star.velocity.y = vx * sin + vy * cos
+
+    // Sin interpolación entre la entrada y la salida
+    star.x = exit.x
+    star.y = exit.y
+    star.prevX = star.x
+    star.prevY = star.y
+    star.insideWormhole = exit.id
+    star.wormholeCooldown = this.WORMHOLE_COOLDOWN
+
+    this.log(`🌀 [PHYSICS] ${star.id} viaja de ${entrance.id} a ${exit.id}`)
+    this.notify("onStarTeleported", star.id, entrance.id, exit.id)
+  }
+
+  /**
+   * Verifica colisiones con agujeros.
+   *
+   * Solo caen las estrellas que llegan por debajo de la velocidad de captura
+   * del agujero; las rápidas pasan por encima si van centradas o el borde las
+   * escupe (lip-out). Se comprueba todo el recorrido del paso, no solo la
+   * posición final, para que una estrella rápida no atraviese el agujero.
+   * Los agujeros inactivos expulsan a las lentas y dejan pasar a las rápidas.
    */
   checkHoleCollisions(star) {
+    const ability = this.getStarAbility(star)
+    const speed = Math.sqrt(star.velocity.x * star.velocity.x + star.velocity.y * star.velocity.y)
+
     this.holes.forEach((hole) => {
+      // Las estrellas de fase pasan por encima de los agujeros inactivos
+      if (!hole.isActive && ability.ignoresInactiveHoles) return
+
       const dx = star.x - hole.x
       const dy = star.y - hole.y
       const distance = Math.sqrt(dx * dx + dy * dy)
+      const threshold = this.collisionThreshold + (hole.isActive ? ability.captureBonus || 0 : 0)
+      const contact = this.getClosestStepPoint(star, hole)
 
-      // Si está lo suficientemente cerca del agujero
-      if (distance < this.collisionThreshold) {
-        // Si es el agujero activo
-        if (hole.isActive) {
-          console.log(`🎯 [PHYSICS] Estrella ${star.id} entró en agujero ${hole.id}`)
-          star.inHole = true
-          star.moving = false
-          star.velocity.x = 0
-          star.velocity.y = 0
-
-          // Notificar al juego
-          this.game.onStarInHole(star.id)
-        } else {
-          // Si NO es el agujero activo, rebote
-          const angle = Math.atan2(dy, dx)
-          const power = 2
-          star.velocity.x = Math.cos(angle) * power
-          star.velocity.y = Math.sin(angle) * power
+      if (contact.distance >= threshold) {
+        // Ya ha salido del agujero que cruzaba: puede volver a intentarlo
+        if (star.lipOutHole === hole.id) star.lipOutHole = null
+        return
+      }
+
+      // Pasa sobre el agujero: si es el activo, cae, lo cruza o el borde la escupe
+      if (hole.isActive) {
+        // Frenada encima del agujero: cae aunque antes la hubiera escupido
+        if (speed <= hole.captureSpeed) star.lipOutHole = null
+        if (star.lipOutHole === hole.id) return
+
+        if (speed > hole.captureSpeed) {
+          // Se decide una sola vez por pasada
+          star.lipOutHole = hole.id
+
+          const offset = (dx * star.velocity.y - dy * star.velocity.x) / speed
+          if (Math.abs(offset) < this.collisionThreshold * this.ROLL_OVER_OFFSET) {
+            this.log(`💨 [PHYSICS] Estrella ${star.id} pasa por encima de ${hole.id} (velocidad ${speed.toFixed(1)})`)
+            return
+          }
+
+          // El borde la toca durante el paso aunque acabe fuera: rebota desde ahí
+          if (distance >= threshold) {
+            star.x = contact.x
+            star.y = contact.y
+          }
+          this.lipOut(star, hole, offset, speed)
+          return
+        }
+
+        this.log(`🎯 [PHYSICS] Estrella ${star.id} entró en agujero ${hole.id}`)
+        star.inHole = true
+        star.holeId = hole.id
+        star.moving = false
+        star.velocity.x = 0
+        star.velocity.y = 0
+
+        // Notificar al juego
+        this.notify("onStarInHole", star.id)
+
+        // El calendario por estrellas cambia de agujero tras cada acierto
+        if (this.activeSchedule?.mode === "afterPot") {
+          this.cycleActiveHole()
         }
+      } else if (speed <= hole.captureSpeed && distance < threshold) {
+        // Si NO es el agujero activo, empuja hacia fuera a las estrellas lentas
+        const angle = Math.atan2(dy, dx)
+        star.velocity.x += Math.cos(angle) * this.INACTIVE_HOLE_PUSH
+        star.velocity.y += Math.sin(angle) * this.INACTIVE_HOLE_PUSH
       }
     })
   }
 
+  /**
+   * Punto del recorrido de la estrella en este paso más cercano a `point`
+   */
+  getClosestStepPoint(star, point) {
+    const ex = star.x - star.prevX
+    const ey = star.y - star.prevY
+    const lengthSquared = ex * ex + ey * ey
+    const t =
+      lengthSquared === 0
+        ? 1
+        : Math.min(Math.max(((point.x - star.prevX) * ex + (point.y - star.prevY) * ey) / lengthSquared, 0), 1)
+
+    const x = star.prevX + ex * t
+    const y = star.prevY + ey * t
+    return { x, y, distance: Math.hypot(x - point.x, y - point.y) }
+  }
+
+  /**
+   * El borde escupe una estrella demasiado rápida: la frena y la desvía
+   * tanto más cuanto más descentrada pasa. `offset` es la distancia con signo
+   * entre el centro del agujero y la línea del recorrido.
+   */
+  lipOut(star, hole, offset, speed) {
+    const ratio = Math.min(Math.abs(offset) / this.collisionThreshold, 1)
+    const angle = -Math.sign(offset) * this.LIP_OUT_ANGLE * ratio
+
+    const cos = Math.cos(angle)
+    const sin = Math.sin(angle)
+    const { x: vx, y: vy } = star.velocity
+    star.velocity.x = (vx * cos - vy * sin) * this.LIP_OUT_DAMPING
+    star.velocity.y = (vx * sin + vy * cos) * this.LIP_OUT_DAMPING
+
+    this.log(`😬 [PHYSICS] ${hole.id} escupe la estrella ${star.id} (velocidad ${speed.toFixed(1)})`)
+    this.notify("onStarLipOut", star.id, hole.id)
+  }
+
+  /**
+   * Verifica colisiones elásticas entre pares de estrellas
+   */
+  checkStarCollisions() {
+    for (let i = 0; i < this.stars.length; i++) {
+      const starA = this.stars[i]
+      if (starA.inHole) continue
+
+      for (let j = i + 1; j < this.stars.length; j++) {
+        const starB = this.stars[j]
+        if (starB.inHole) continue
+
+        // Dos estrellas en reposo no pueden chocar entre sí
+        if (!starA.moving && !starB.moving) continue
+
+        this.resolveStarCollision(starA, starB)
+      }
+    }
+  }
+
+  /**
+   * Resuelve el choque entre dos estrellas usando masa y restitución
+   */
+  resolveStarCollision(starA, starB) {
+    const dx = starB.x - starA.x
+    const dy = starB.y - starA.y
+    const distance = Math.sqrt(dx * dx + dy * dy)
+    const minDistance = starA.radius + starB.radius
+
+    if (distance >= minDistance) return
+
+    // Normal de contacto (si coinciden exactamente, usar eje X)
+    const nx = distance > 0 ? dx / distance : 1
+    const ny = distance > 0 ? dy / distance : 0
+
+    // Separar las estrellas proporcionalmente a su masa inversa
+    const inverseMassA = 1 / starA.mass
+    const inverseMassB = 1 / starB.mass
+    const inverseMassSum = inverseMassA + inverseMassB
+    const overlap = minDistance - distance
+    starA.x -= nx * overlap * (inverseMassA / inverseMassSum)
+    starA.y -= ny * overlap * (inverseMassA / inverseMassSum)
+    starB.x += nx * overlap * (inverseMassB / inverseMassSum)
+    starB.y += ny * overlap * (inverseMassB / inverseMassSum)
+
+    // Velocidad relativa a lo largo de la normal
+    const relativeVelocity =
+      (starB.velocity.x - starA.velocity.x) * nx + (starB.velocity.y - starA.velocity.y) * ny
+
+    // Si ya se están separando, no aplicar impulso
+    if (relativeVelocity < 0) {
+      // Impulso con la restitución combinada de ambas estrellas
+      const restitution = Math.min(starA.restitution, starB.restitution)
+      const impulse = (-(1 + restitution) * relativeVelocity) / inverseMassSum
+
+      starA.velocity.x -= impulse * inverseMassA * nx
+      starA.velocity.y -= impulse * inverseMassA * ny
+      starB.velocity.x += impulse * inverseMassB * nx
+      starB.velocity.y += impulse * inverseMassB * ny
+
+      // Despertar a la estrella que estaba en reposo
+      starA.moving = true
+      starB.moving = true
+
+      this.log(`🎱 [PHYSICS] Colisión entre estrellas ${starA.id} y ${starB.id}`)
+
+      // Notificar al juego
+      this.notify("onStarCollision", starA.id, starB.id)
+    }
+  }
+
   /**
    * Verifica colisiones con meteoritos
    */
   checkMeteoriteCollisions(star) {
-    this.meteorites.forEach((meteorite) => {
+    const ability = this.getStarAbility(star)
+
+    // Recorrido inverso: un meteorito roto se elimina de la lista
+    for (let i = this.meteorites.length - 1; i >= 0; i--) {
+      const meteorite = this.meteorites[i]
       const dx = star.x - meteorite.x
       const dy = star.y - meteorite.y
       const distance = Math.sqrt(dx * dx + dy * dy)
 
       // Si hay colisión
       if (distance < star.radius + meteorite.radius) {
-        console.log(`💥 [PHYSICS] Colisión entre ${star.id} y ${meteorite.id}`)
+        // Las estrellas de potencia lo atraviesan rompiéndolo
+        if (ability.smashesMeteorites) {
+          this.log(`🪨 [PHYSICS] ${star.id} rompe el meteorito ${meteorite.id}`)
+          this.meteorites.splice(i, 1)
+          star.velocity.x *= ability.smashSlowdown
+          star.velocity.y *= ability.smashSlowdown
+          this.notify("onMeteoriteSmashed", star.id, meteorite.id)
+          continue
+        }
+
+        this.log(`💥 [PHYSICS] Colisión entre ${star.id} y ${meteorite.id}`)
 
         // Velocidad del rebote
         const angle = Math.atan2(dy, dx)
@@ -432,69 +1459,76 @@ export class PhysicsEngine {
         star.velocity.x = Math.cos(angle) * power
         star.velocity.y = Math.sin(angle) * power
 
-        // Notificar al juego
-        this.game.onStarHitMeteorite(star.id)
+        // Sacar la estrella del meteorito para no contar el mismo impacto dos veces
+        star.x = meteorite.x + Math.cos(angle) * (star.radius + meteorite.radius)
+        star.y = meteorite.y + Math.sin(angle) * (star.radius + meteorite.radius)
+
+        // Notificar al juego (el escudo absorbe el impacto)
+        if (this.shieldActive) {
+          this.shieldActive = false
+          this.notify("onShieldAbsorbed", star.id)
+        } else {
+          this.notify("onStarHitMeteorite", star.id)
+        }
       }
-    })
+    }
   }
 
   /**
-   * Actualiza la cámara para seguir estrellas en movimiento
+   * Verifica si una estrella recoge un power-up
    */
-  updateCamera(gameState) {
-    const movingStars = this.stars.filter((star) => star.moving && !star.inHole)
+  checkPickupCollisions(star) {
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const pickup = this.pickups[i]
+      const dx = star.x - pickup.x
+      const dy = star.y - pickup.y
+      const distance = Math.sqrt(dx * dx + dy * dy)
 
-    if (movingStars.length > 0) {
-      // Calcular el punto medio de todas las estrellas en movimiento
-      let totalX = 0
-      let totalY = 0
+      if (distance < star.radius + pickup.radius) {
+        this.log(`✨ [PHYSICS] Estrella ${star.id} recoge ${pickup.type}`)
 
-      movingStars.forEach((star) => {
-        totalX += star.x
-        totalY += star.y
-      })
+        this.pickups.splice(i, 1)
 
-      const avgX = totalX / movingStars.length
-      const avgY = totalY / movingStars.length
+        // Notificar al juego
+        this.notify("onPowerupCollected", pickup.type)
+      }
+    }
+  }
 
-      // Ajustar la cámara gradualmente (interpolación suave)
-      const cameraSpeed = 0.05
-      gameState.camera.x = gameState.camera.x + (avgX - gameState.camera.x) * cameraSpeed
-      gameState.camera.y = gameState.camera.y + (avgY - gameState.camera.y) * cameraSpeed
+  /**
+   * Atrae una estrella en movimiento hacia el agujero activo más cercano
+   */
+  applyMagnet(star) {
+    let target = null
+    let targetDistance = Infinity
 
-      this.game.updateCameraPosition()
-    }
+    this.holes.forEach((hole) => {
+      if (!hole.isActive) return
+      const distance = Math.hypot(hole.x - star.x, hole.y - star.y)
+      if (distance < targetDistance) {
+        target = hole
+        targetDistance = distance
+      }
+    })
+
+    if (!target || targetDistance === 0) return
+
+    star.velocity.x += ((target.x - star.x) / targetDistance) * this.MAGNET_STRENGTH
+    star.velocity.y += ((target.y - star.y) / targetDistance) * this.MAGNET_STRENGTH
   }
 
   /**
-   * Cambia la estrella activa
+   * Siguiente estrella disponible para disparar después de `currentStarId`
    */
-  switchActiveStar() {
+  getNextAvailableStar(currentStarId) {
     const availableStars = this.stars.filter((star) => !star.moving && !star.inHole)
-    if (availableStars.length === 0) return
+    if (availableStars.length === 0) return null
 
     // Buscar la estrella seleccionada actualmente
-    const selectedStarId = this.game.gameState.selectedStar
-    let selectedIndex = -1
-
-    if (selectedStarId) {
-      selectedIndex = availableStars.findIndex((star) => star.id === selectedStarId)
-    }
+    const selectedIndex = availableStars.findIndex((star) => star.id === currentStarId)
 
     // Seleccionar la siguiente estrella disponible
-    const nextIndex = (selectedIndex + 1) % availableStars.length
-    const nextStar = availableStars[nextIndex]
-
-    // Actualizar selección
-    this.game.gameState.selectedStar = nextStar.id
-    console.log(`⭐ [PHYSICS] Estrella activa cambiada a ${nextStar.id}`)
-
-    // Actualizar visualmente
-    this.stars.forEach((star) => {
-      if (star.element) {
-        star.element.classList.toggle("selected", star.id === nextStar.id)
-      }
-    })
+    return availableStars[(selectedIndex + 1) % availableStars.length]
   }
 
   /**
@@ -508,42 +1542,26 @@ export class PhysicsEngine {
    * Resetea las estrellas a sus posiciones iniciales
    */
   resetStars() {
-    console.log("🔄 [PHYSICS] Reseteando estrellas...")
-
-    this.stars.forEach((star, index) => {
-      // Posiciones base
-      const basePositions = [
-        { x: 800, y: 400 }, // star1
-        { x: 850, y: 450 }, // star2
-        { x: 750, y: 450 }, // star3
-      ]
-
-      // Resetear propiedades físicas
-      star.x = basePositions[index].x
-      star.y = basePositions[index].y
+    this.log("🔄 [PHYSICS] Reseteando estrellas...")
+
+    this.stars.forEach((star) => {
+      // Resetear propiedades físicas a la posición de salida del nivel
+      star.x = star.spawnX
+      star.y = star.spawnY
+      star.prevX = star.x
+      star.prevY = star.y
       star.velocity.x = 0
       star.velocity.y = 0
       star.moving = false
       star.inHole = false
+      star.holeId = null
+      star.wormholeCooldown = 0
+      star.insideWormhole = null
+      star.lipOutHole = null
       star.rotation = 0
-
-      // Actualizar DOM
-      this.updateStarElement(star)
-      if (star.element) {
-        star.element.classList.remove("selected")
-      }
     })
 
-    // Resetear estrella seleccionada
-    if (this.game.gameState) {
-      this.game.gameState.selectedStar = "star1"
-      const starElement = document.getElementById("star1")
-      if (starElement) {
-        starElement.classList.add("selected")
-      }
-    }
-
-    console.log("✅ [PHYSICS] Estrellas reseteadas")
+    this.log("✅ [PHYSICS] Estrellas reseteadas")
   }
 
   /**
@@ -572,5 +1590,10 @@ export class PhysicsEngine {
     this.stars = []
     this.holes = []
     this.meteorites = []
+    this.gravitySources = []
+    this.wormholes = []
+    this.obstacles = []
+    this.pickups = []
+    this.resetEffects()
   }
 }
\ No newline at end of file
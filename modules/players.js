@@ -0,0 +1,179 @@
+/**
+ * PLAYERS - Multijugador Local por Turnos
+ *
+ * Partidas "hot-seat" de 2 a 4 jugadores en la misma máquina:
+ * - Cada jugador tiene su propia puntuación y estadísticas
+ * - Los jugadores se turnan para disparar
+ * - Meter una estrella conserva el turno; fallar o chocar con un meteorito lo pasa
+ * - Uno de los asientos puede ocuparlo la IA (modules/ai.js)
+ */
+
+import { AI_DIFFICULTIES } from "./ai.js"
+
+export const MIN_PLAYERS = 1
+export const MAX_PLAYERS = 4
+
+export class PlayerManager {
+  constructor(game) {
+    console.log("👥 [PLAYERS] Inicializando gestor de jugadores...")
+
+    this.game = game
+    this.players = []
+    this.currentIndex = 0
+    this.turn = null // Resultado del tiro en curso: { potted, hitMeteorite }
+
+    this.setup(1)
+
+    console.log("✅ [PLAYERS] Gestor de jugadores inicializado")
+  }
+
+  /**
+   * Prepara una partida nueva con el número de jugadores indicado
+   */
+  setup(count = 1, aiDifficulty = null) {
+    const opponent = AI_DIFFICULTIES[aiDifficulty]
+
+    // El oponente ocupa un asiento más (el último si la mesa está llena)
+    const maxHumans = opponent ? MAX_PLAYERS - 1 : MAX_PLAYERS
+    const humanCount = Math.min(Math.max(Number.parseInt(count) || 1, MIN_PLAYERS), maxHumans)
+
+    this.players = Array.from({ length: humanCount }, (_, index) => this.createPlayer(index + 1, `Player ${index + 1}`))
+    if (opponent) {
+      this.players.push({
+        ...this.createPlayer(humanCount + 1, `CPU (${opponent.label})`),
+        type: "ai",
+        difficulty: aiDifficulty,
+      })
+    }
+    this.currentIndex = 0
+    this.turn = null
+
+    console.log(`👥 [PLAYERS] Partida para ${this.players.length} jugador(es)${opponent ? " contra la IA" : ""}`)
+  }
+
+  /**
+   * Datos iniciales de un jugador
+   */
+  createPlayer(id, name) {
+    return {
+      id,
+      name,
+      type: "human",
+      score: 0,
+      shots: 0,
+      pots: 0,
+      meteoriteHits: 0,
+    }
+  }
+
+  /**
+   * ¿Hay más de un jugador turnándose?
+   */
+  get isMultiplayer() {
+    return this.players.length > 1
+  }
+
+  /**
+   * Jugador al que le toca disparar
+   */
+  get currentPlayer() {
+    return this.players[this.currentIndex]
+  }
+
+  /**
+   * ¿Se está esperando a que termine un tiro para resolver el turno?
+   */
+  isTurnInProgress() {
+    return this.turn !== null
+  }
+
+  /**
+   * Suma puntos al jugador del turno actual
+   */
+  addScore(points) {
+    this.currentPlayer.score += points
+  }
+
+  /**
+   * El jugador actual acaba de disparar
+   */
+  onShot() {
+    this.currentPlayer.shots++
+    this.turn = { potted: false, hitMeteorite: false }
+  }
+
+  /**
+   * Una estrella ha entrado en un agujero durante el tiro
+   */
+  onPot() {
+    this.currentPlayer.pots++
+    if (this.turn) this.turn.potted = true
+  }
+
+  /**
+   * Una estrella ha chocado con un meteorito durante el tiro
+   */
+  onMeteoriteHit() {
+    this.currentPlayer.meteoriteHits++
+    if (this.turn) this.turn.hitMeteorite = true
+  }
+
+  /**
+   * Resuelve el turno cuando todas las estrellas se han detenido.
+   * Devuelve true si el turno ha pasado al siguiente jugador.
+   */
+  update(stars) {
+    if (!this.turn) return false
+    if (stars.some((star) => star.moving && !star.inHole)) return false
+
+    const { potted, hitMeteorite } = this.turn
+    this.turn = null
+
+    if (!this.isMultiplayer || (potted && !hitMeteorite)) return false
+
+    this.nextPlayer()
+    return true
+  }
+
+  /**
+   * Pasa el turno al siguiente jugador
+   */
+  nextPlayer() {
+    this.currentIndex = (this.currentIndex + 1) % this.players.length
+    console.log(`👥 [PLAYERS] Turno de ${this.currentPlayer.name}`)
+  }
+
+  /**
+   * Jugadores ordenados de mayor a menor puntuación
+   */
+  getStandings() {
+    return [...this.players].sort((a, b) => b.score - a.score)
+  }
+
+  /**
+   * Estado serializable (para guardar la partida)
+   */
+  getState() {
+    return JSON.parse(
+      JSON.stringify({
+        players: this.players,
+        currentIndex: this.currentIndex,
+        turn: this.turn,
+      }),
+    )
+  }
+
+  /**
+   * Restaura un estado obtenido con getState()
+   */
+  setState(savedState) {
+    if (!savedState) {
+      this.setup(1)
+      return
+    }
+
+    this.players = savedState.players
+    this.currentIndex = savedState.currentIndex
+    this.turn = savedState.turn
+  }
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * POWERUP SYSTEM - Sistema de Power-ups
+ *
+ * Gestiona los power-ups recogibles del tablero:
+ * - Definición de tipos y duraciones
+ * - Aparición periódica de power-ups (reproducible con la semilla) en huecos libres del tablero
+ * - Registro de los power-ups en el motor de física (renderer.js los dibuja)
+ */
+
+export const POWERUP_TYPES = {
+  slowTime: { label: "Slow Time", cssClass: "slow-time", duration: 5, timeScale: 0.5 },
+  shield: { label: "Shield", cssClass: "shield", duration: 8 },
+  magnet: { label: "Magnet", cssClass: "magnet", duration: 6 },
+}
+
+export class PowerupSystem {
+  constructor(game) {
+    console.log("✨ [POWERUPS] Inicializando sistema de power-ups...")
+
+    this.game = game
+    this.spawnTimer = 0
+    this.spawnCount = 0
+
+    // Constantes
+    this.SPAWN_INTERVAL = 600 // pasos de física (~10 s)
+    this.MAX_PICKUPS = 2
+    this.MAX_INVENTORY = 3
+    this.SPAWN_MARGIN = 80
+    this.SPAWN_ATTEMPTS = 10 // Posiciones probadas antes de saltarse la aparición
+
+    console.log("✅ [POWERUPS] Sistema de power-ups inicializado")
+  }
+
+  /**
+   * Reinicia la aparición de power-ups y coloca los definidos por el nivel
+   */
+  reset(level) {
+    this.spawnTimer = 0
+    this.spawnCount = 0
+
+    level.powerups.forEach((pickup) => this.spawnPickup(pickup.type, pickup.x, pickup.y))
+  }
+
+  /**
+   * Estado serializable de la aparición de power-ups
+   */
+  getState() {
+    return { spawnTimer: this.spawnTimer, spawnCount: this.spawnCount }
+  }
+
+  /**
+   * Restaura un estado obtenido con getState()
+   */
+  setState(savedState) {
+    this.spawnTimer = savedState.spawnTimer
+    this.spawnCount = savedState.spawnCount
+  }
+
+  /**
+   * Avanza el temporizador de aparición en pasos de física
+   */
+  update(steps) {
+    this.spawnTimer += steps
+    if (this.spawnTimer < this.SPAWN_INTERVAL) return
+
+    this.spawnTimer -= this.SPAWN_INTERVAL
+    if (this.game.physicsEngine.pickups.length >= this.MAX_PICKUPS) return
+
+    const type = this.game.random.pick(Object.keys(POWERUP_TYPES))
+    const position = this.findSpawnPosition()
+    if (!position) {
+      console.log("✨ [POWERUPS] No hay hueco libre para un power-up")
+      return
+    }
+
+    this.spawnPickup(type, position.x, position.y)
+  }
+
+  /**
+   * Busca una posición que no tape agujeros, estrellas ni otras entidades.
+   * Los intentos son limitados para que la secuencia aleatoria sea reproducible.
+   */
+  findSpawnPosition() {
+    const random = this.game.random
+    const physics = this.game.physicsEngine
+
+    for (let attempt = 0; attempt < this.SPAWN_ATTEMPTS; attempt++) {
+      const x = Math.round(random.range(this.SPAWN_MARGIN, physics.boardWidth - this.SPAWN_MARGIN))
+      const y = Math.round(random.range(this.SPAWN_MARGIN, physics.boardHeight - this.SPAWN_MARGIN))
+      if (physics.isAreaClear(x, y, physics.PICKUP_RADIUS)) return { x, y }
+    }
+    return null
+  }
+
+  /**
+   * Añade un power-up recogible al tablero
+   */
+  spawnPickup(type, x, y) {
+    const definition = POWERUP_TYPES[type]
+    if (!definition) {
+      console.warn(`⚠️ [POWERUPS] Tipo de power-up desconocido: ${type}`)
+      return
+    }
+
+    this.spawnCount++
+    const id = `powerup${this.spawnCount}`
+
+    this.game.physicsEngine.addPickup({ id, type, x, y })
+    this.game.replayRecorder.record("pickup", { pickup: { id, type, x, y } })
+    console.log(`✨ [POWERUPS] Power-up ${type} aparece en (${x}, ${y})`)
+  }
+}
\ No newline at end of file
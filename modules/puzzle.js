@@ -0,0 +1,175 @@
+/**
+ * PUZZLE - Modo Puzle por Número de Tiros
+ *
+ * Cada nivel se juega sin límite de tiempo pero con tiros contados:
+ * - Presupuesto de tiros (shotBudget) y par (parShots) definidos en el nivel
+ * - Resultado respecto al par y valoración de 1 a 3 estrellas
+ * - Pantalla de selección de nivel con la mejor valoración guardada
+ */
+
+export const MAX_RATING = 3
+
+export class PuzzleSystem {
+  constructor(game) {
+    console.log("🧩 [PUZZLE] Inicializando modo puzle...")
+
+    this.game = game
+    this.domElements = {}
+
+    // Constantes
+    this.TWO_STAR_MARGIN = 2 // Tiros sobre el par que aún valen 2 estrellas
+
+    this.initializeElements()
+    this.setupEventListeners()
+
+    console.log("✅ [PUZZLE] Modo puzle inicializado")
+  }
+
+  /**
+   * Busca los elementos DOM de la selección de nivel
+   */
+  initializeElements() {
+    const elementIds = ["levelSelectOverlay", "levelSelectGrid", "levelSelectCloseButton"]
+
+    elementIds.forEach((id) => {
+      this.domElements[id] = document.getElementById(id)
+      if (!this.domElements[id]) {
+        console.warn(`⚠️ [PUZZLE] Elemento no encontrado: ${id}`)
+      }
+    })
+  }
+
+  /**
+   * Configura los controles de la selección de nivel
+   */
+  setupEventListeners() {
+    const { levelSelectGrid, levelSelectCloseButton } = this.domElements
+
+    levelSelectGrid?.addEventListener("click", (e) => {
+      const card = e.target.closest(".level-card")
+      if (card) {
+        this.startLevel(Number.parseInt(card.dataset.level))
+      }
+    })
+    levelSelectCloseButton?.addEventListener("click", () => this.closeLevelSelect())
+  }
+
+  /**
+   * Número de niveles jugables en modo puzle (los diseñados a mano)
+   */
+  get levelCount() {
+    return this.game.levelLoader.levels.length
+  }
+
+  /**
+   * Valoración de 1 a 3 estrellas de un nivel completado
+   */
+  rate(level, shots) {
+    if (shots <= level.parShots) return MAX_RATING
+    if (shots <= level.parShots + this.TWO_STAR_MARGIN) return 2
+    return 1
+  }
+
+  /**
+   * Resultado respecto al par, al estilo del golf: "-1", "E", "+2"
+   */
+  formatPar(shots, par) {
+    const diff = shots - par
+    if (diff === 0) return "E"
+    return diff > 0 ? `+${diff}` : `${diff}`
+  }
+
+  /**
+   * Cierra un nivel de puzle, guarda la mejor valoración y devuelve el resumen
+   */
+  finishLevel(levelNumber, level, shots, completed) {
+    const stars = completed ? this.rate(level, shots) : 0
+    const result = {
+      levelNumber,
+      name: level.name,
+      shots,
+      par: level.parShots,
+      budget: level.shotBudget,
+      parText: this.formatPar(shots, level.parShots),
+      stars,
+      completed,
+    }
+
+    if (completed) {
+      this.game.storageManager.savePuzzleResult(levelNumber, { stars, shots })
+    }
+
+    console.log(
+      `🧩 [PUZZLE] Nivel ${levelNumber} ${completed ? "completado" : "fallido"}: ${shots} tiros (${result.parText}), ${stars} estrellas`,
+    )
+    return result
+  }
+
+  /**
+   * Texto de estrellas para una valoración ("★★☆")
+   */
+  formatRating(stars) {
+    return "★".repeat(stars) + "☆".repeat(MAX_RATING - stars)
+  }
+
+  /**
+   * Muestra la selección de nivel con las mejores valoraciones
+   */
+  openLevelSelect() {
+    console.log("🧩 [PUZZLE] Abriendo selección de nivel...")
+
+    this.game.menuSystem.hide()
+    this.renderLevelSelect()
+    if (this.domElements.levelSelectOverlay) {
+      this.domElements.levelSelectOverlay.style.display = "flex"
+    }
+  }
+
+  /**
+   * Cierra la selección de nivel y vuelve al menú principal
+   */
+  closeLevelSelect(showMenu = true) {
+    if (this.domElements.levelSelectOverlay) {
+      this.domElements.levelSelectOverlay.style.display = "none"
+    }
+    if (showMenu) {
+      this.game.menuSystem.show()
+    }
+  }
+
+  /**
+   * Dibuja una tarjeta por nivel con su par y su mejor resultado
+   */
+  renderLevelSelect() {
+    const grid = this.domElements.levelSelectGrid
+    if (!grid) return
+
+    const results = this.game.storageManager.loadPuzzleResults()
+    grid.innerHTML = ""
+
+    for (let levelNumber = 1; levelNumber <= this.levelCount; levelNumber++) {
+      const level = this.game.levelLoader.normalizeLevel(this.game.levelLoader.levels[levelNumber - 1])
+      const best = results[levelNumber]
+
+      const card = document.createElement("button")
+      card.classList.add("level-card")
+      card.classList.toggle("completed", Boolean(best))
+      card.dataset.level = String(levelNumber)
+      card.innerHTML = `
+        <span class="level-card-number">${levelNumber}</span>
+        <span class="level-card-name">${level.name}</span>
+        <span class="level-card-rating">${this.formatRating(best?.stars ?? 0)}</span>
+        <span class="level-card-info">Par ${level.parShots} · ${level.shotBudget} shots${best ? ` · Best ${best.shots}` : ""}</span>
+      `
+      grid.appendChild(card)
+    }
+  }
+
+  /**
+   * Empieza un nivel en modo puzle con la configuración del menú
+   */
+  startLevel(levelNumber) {
+    this.closeLevelSelect(false)
+    this.game.startGame(this.game.menuSystem.getGameSettings(), { mode: "puzzle", levelNumber })
+  }
+}
\ No newline at end of file
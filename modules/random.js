@@ -0,0 +1,108 @@
+/**
+ * RANDOM - Generador Aleatorio con Semilla
+ *
+ * Fuente única de aleatoriedad para la jugabilidad:
+ * - Secuencias reproducibles a partir de una semilla
+ * - Utilidades de rango y selección
+ * - Estado serializable para guardar y restaurar partidas
+ */
+
+export class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = 0
+    this.state = 0
+    this.setSeed(seed)
+  }
+
+  /**
+   * Genera una semilla nueva para partidas no reproducidas
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0
+  }
+
+  /**
+   * Convierte números o textos en una semilla entera de 32 bits
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) {
+      return seed >>> 0
+    }
+
+    // Hash FNV-1a para semillas de texto (p. ej. fechas)
+    const text = String(seed)
+    let hash = 0x811c9dc5
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i)
+      hash = Math.imul(hash, 0x01000193)
+    }
+    return hash >>> 0
+  }
+
+  /**
+   * Reinicia la secuencia con una nueva semilla
+   */
+  setSeed(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed)
+    this.state = this.seed
+    console.log(`🎲 [RANDOM] Semilla establecida: ${this.seed}`)
+  }
+
+  /**
+   * Devuelve un número en [0, 1) (mulberry32)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Devuelve un número en [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min)
+  }
+
+  /**
+   * Devuelve un entero en [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max)
+  }
+
+  /**
+   * Elige un elemento al azar de un array
+   */
+  pick(array) {
+    if (!array || array.length === 0) return undefined
+    return array[this.int(array.length)]
+  }
+
+  /**
+   * Estado serializable del generador
+   */
+  getState() {
+    return { seed: this.seed, state: this.state }
+  }
+
+  /**
+   * Restaura un estado obtenido con getState()
+   */
+  setState(savedState) {
+    this.seed = savedState.seed >>> 0
+    this.state = savedState.state >>> 0
+  }
+
+  /**
+   * Copia independiente desde el estado actual: lo que consuma la copia no
+   * avanza este generador (sin volver a registrar la semilla)
+   */
+  fork() {
+    const copy = Object.create(SeededRandom.prototype)
+    copy.setState(this.getState())
+    return copy
+  }
+}
\ No newline at end of file
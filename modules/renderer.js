@@ -0,0 +1,242 @@
+/**
+ * RENDERER - Dibujado del Tablero
+ *
+ * Refleja en el DOM el estado del motor de física:
+ * - Posiciones interpoladas de estrellas y meteoritos
+ * - Power-ups que aparecen y se recogen
+ * - Agujeros activos (y su posición si se mueven) y estrella seleccionada
+ * - Cámara que sigue a las estrellas en movimiento
+ */
+
+import { POWERUP_TYPES } from "./powerups.js"
+
+export class BoardRenderer {
+  constructor(game) {
+    console.log("🎨 [RENDERER] Inicializando renderizador del tablero...")
+
+    this.game = game
+    this.elements = new Map()
+    this.pickupIds = new Set()
+    this.meteoriteCount = null // Meteoritos dibujados en el último frame
+
+    console.log("✅ [RENDERER] Renderizador inicializado")
+  }
+
+  /**
+   * Olvida los elementos del tablero anterior
+   */
+  reset() {
+    this.elements.clear()
+    this.pickupIds.clear()
+    this.meteoriteCount = null
+  }
+
+  /**
+   * Elemento DOM de una entidad (se busca una vez y se guarda)
+   */
+  getElement(id) {
+    let element = this.elements.get(id)
+    if (!element) {
+      element = document.getElementById(id)
+      if (element) {
+        this.elements.set(id, element)
+      }
+    }
+    return element
+  }
+
+  /**
+   * Elimina el elemento de una entidad que ya no existe
+   */
+  removeElement(id) {
+    const element = this.getElement(id)
+    if (element) {
+      element.remove()
+    }
+    this.elements.delete(id)
+  }
+
+  /**
+   * Dibuja el estado de un motor (por defecto el del juego) interpolando
+   * entre el paso anterior y el actual
+   */
+  render(alpha = 1, physics = this.game.physicsEngine) {
+    physics.stars.forEach((star) => this.renderStar(star, alpha))
+    this.removeSmashedMeteorites(physics.meteorites)
+    physics.meteorites.forEach((meteorite) => this.renderMeteorite(meteorite, alpha))
+    physics.holes.forEach((hole) => this.renderHole(hole, alpha))
+    this.renderPickups(physics.pickups)
+  }
+
+  /**
+   * Actualiza el elemento visual de una estrella
+   */
+  renderStar(star, alpha) {
+    const element = this.getElement(star.id)
+    if (!element) return
+
+    const x = star.prevX + (star.x - star.prevX) * alpha
+    const y = star.prevY + (star.y - star.prevY) * alpha
+    element.style.left = `${x}px`
+    element.style.top = `${y}px`
+
+    // Actualizar rotación
+    element.style.transform = `rotate(${star.rotation}rad)`
+
+    // Si está en agujero, aplicar animación adicional
+    if (star.inHole) {
+      element.style.transform += " scale(0.5)" // Reducir tamaño
+      element.style.opacity = "0.3"
+    } else {
+      element.style.opacity = "1"
+    }
+  }
+
+  /**
+   * Actualiza el elemento visual de un meteorito
+   */
+  renderMeteorite(meteorite, alpha) {
+    const element = this.getElement(meteorite.id)
+    if (!element) return
+
+    const x = meteorite.prevX + (meteorite.x - meteorite.prevX) * alpha
+    const y = meteorite.prevY + (meteorite.y - meteorite.prevY) * alpha
+    element.style.left = `${x}px`
+    element.style.top = `${y}px`
+    element.style.transform = `rotate(${meteorite.rotation}rad)`
+  }
+
+  /**
+   * Quita del tablero los meteoritos que el motor ya no tiene (rotos por una estrella)
+   */
+  removeSmashedMeteorites(meteorites) {
+    if (meteorites.length === this.meteoriteCount) return
+    this.meteoriteCount = meteorites.length
+
+    const board = document.getElementById("unifiedBoard")
+    if (!board) return
+
+    const currentIds = new Set(meteorites.map((meteorite) => meteorite.id))
+    board.querySelectorAll(".meteorite").forEach((element) => {
+      if (!currentIds.has(element.id)) {
+        this.removeElement(element.id)
+      }
+    })
+  }
+
+  /**
+   * Destello en los dos extremos de un salto por agujero de gusano
+   */
+  flashWormholes(...ids) {
+    ids.forEach((id) => {
+      const element = this.getElement(id)
+      if (!element) return
+
+      element.classList.remove("teleport")
+      void element.offsetWidth // Reiniciar la animación
+      element.classList.add("teleport")
+    })
+  }
+
+  /**
+   * Destello de un bumper al devolver una estrella o un meteorito
+   */
+  flashBumper(id) {
+    const element = this.getElement(id)
+    if (!element) return
+
+    element.classList.remove("hit")
+    void element.offsetWidth // Reiniciar la animación
+    element.classList.add("hit")
+  }
+
+  /**
+   * Marca visualmente los agujeros activos y mueve los que tienen movimiento
+   */
+  renderHole(hole, alpha) {
+    const element = this.getElement(hole.id)
+    if (!element) return
+
+    element.classList.toggle("active", hole.isActive)
+
+    if (hole.motion) {
+      const prevX = hole.prevX ?? hole.x
+      const prevY = hole.prevY ?? hole.y
+      element.style.left = `${prevX + (hole.x - prevX) * alpha}px`
+      element.style.top = `${prevY + (hole.y - prevY) * alpha}px`
+    }
+  }
+
+  /**
+   * Crea los power-ups nuevos y elimina los recogidos
+   */
+  renderPickups(pickups) {
+    const currentIds = new Set(pickups.map((pickup) => pickup.id))
+
+    this.pickupIds.forEach((id) => {
+      if (!currentIds.has(id)) {
+        this.removeElement(id)
+        this.pickupIds.delete(id)
+      }
+    })
+
+    pickups.forEach((pickup) => {
+      if (this.pickupIds.has(pickup.id)) return
+
+      const board = document.getElementById("unifiedBoard")
+      const definition = POWERUP_TYPES[pickup.type]
+      if (!board || !definition) return
+
+      const element = document.createElement("div")
+      element.id = pickup.id
+      element.classList.add("powerup", definition.cssClass)
+      element.style.left = `${pickup.x}px`
+      element.style.top = `${pickup.y}px`
+      element.title = definition.label
+      board.appendChild(element)
+
+      this.elements.set(pickup.id, element)
+      this.pickupIds.add(pickup.id)
+    })
+  }
+
+  /**
+   * Resalta la estrella seleccionada
+   */
+  updateSelection(selectedStarId) {
+    this.game.physicsEngine.stars.forEach((star) => {
+      const element = this.getElement(star.id)
+      if (element) {
+        element.classList.toggle("selected", star.id === selectedStarId)
+      }
+    })
+  }
+
+  /**
+   * Actualiza la cámara para seguir estrellas en movimiento
+   */
+  updateCamera(gameState, physics = this.game.physicsEngine) {
+    const movingStars = physics.stars.filter((star) => star.moving && !star.inHole)
+
+    if (movingStars.length > 0) {
+      // Calcular el punto medio de todas las estrellas en movimiento
+      let totalX = 0
+      let totalY = 0
+
+      movingStars.forEach((star) => {
+        totalX += star.x
+        totalY += star.y
+      })
+
+      const avgX = totalX / movingStars.length
+      const avgY = totalY / movingStars.length
+
+      // Ajustar la cámara gradualmente (interpolación suave)
+      const cameraSpeed = 0.05
+      gameState.camera.x = gameState.camera.x + (avgX - gameState.camera.x) * cameraSpeed
+      gameState.camera.y = gameState.camera.y + (avgY - gameState.camera.y) * cameraSpeed
+
+      this.game.updateCameraPosition()
+    }
+  }
+}
\ No newline at end of file
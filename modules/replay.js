@@ -0,0 +1,498 @@
+/**
+ * REPLAY - Grabación y Reproducción de Partidas
+ *
+ * Graba cada partida como entradas y la vuelve a simular:
+ * - Instantánea del motor de física al empezar cada nivel
+ * - Eventos por paso de física: tiros, power-ups y reinicios de estrellas
+ * - Reproducción con pausa, avance/retroceso y control de velocidad
+ */
+
+import { PhysicsEngine } from "./physics.js"
+import { SeededRandom } from "./random.js"
+
+export const REPLAY_FORMAT_VERSION = 1
+
+export class ReplayRecorder {
+  constructor(game) {
+    console.log("🎥 [REPLAY] Inicializando grabador de partidas...")
+
+    this.game = game
+    this.replay = null
+    this.segment = null
+
+    console.log("✅ [REPLAY] Grabador inicializado")
+  }
+
+  /**
+   * Empieza a grabar una partida nueva
+   */
+  start(seed) {
+    this.replay = {
+      version: REPLAY_FORMAT_VERSION,
+      seed,
+      startedAt: new Date().toISOString(),
+      levels: [],
+    }
+    this.segment = null
+    console.log(`🎥 [REPLAY] Grabando partida con semilla ${seed}`)
+  }
+
+  /**
+   * Abre un tramo nuevo con el nivel recién cargado
+   */
+  beginLevel(levelNumber, level) {
+    if (!this.replay) return
+
+    this.endLevel()
+    this.segment = {
+      levelNumber,
+      level: JSON.parse(JSON.stringify(level)),
+      snapshot: this.game.physicsEngine.getState(),
+      random: this.game.random.getState(),
+      events: [],
+      endTick: 0,
+    }
+    this.replay.levels.push(this.segment)
+  }
+
+  /**
+   * Registra un evento en el paso de física actual
+   */
+  record(type, data = {}) {
+    if (!this.segment || this.segment.ended) return
+
+    this.segment.events.push({ tick: this.game.physicsEngine.tick, type, ...data })
+  }
+
+  /**
+   * Registra un tiro tal y como lo recibe shootStar()
+   */
+  recordShot(gameState, dragDistance, dragTime) {
+    this.record("shot", {
+      starId: gameState.selectedStar,
+      dragVector: {
+        x: gameState.startPos.x - gameState.currentPos.x,
+        y: gameState.startPos.y - gameState.currentPos.y,
+      },
+      dragDistance,
+      dragTime,
+      timestamp: Date.now(),
+    })
+  }
+
+  /**
+   * Registra los efectos de power-ups que alteran la simulación
+   */
+  recordEffects() {
+    const physics = this.game.physicsEngine
+    this.record("effects", { shieldActive: physics.shieldActive, magnetActive: physics.magnetActive })
+  }
+
+  /**
+   * Cierra el tramo del nivel actual
+   */
+  endLevel() {
+    if (!this.segment || this.segment.ended) return
+
+    this.segment.endTick = this.game.physicsEngine.tick
+    this.segment.ended = true
+  }
+
+  /**
+   * Termina la grabación y devuelve la repetición (null si no hubo tiros)
+   */
+  finish(stats = {}) {
+    if (!this.replay) return null
+
+    this.endLevel()
+    const replay = { ...this.replay, ...stats }
+    this.discard()
+
+    const shots = replay.levels.reduce(
+      (total, segment) => total + segment.events.filter((event) => event.type === "shot").length,
+      0,
+    )
+    if (shots === 0) return null
+
+    replay.levels.forEach((segment) => delete segment.ended)
+    console.log(`🎥 [REPLAY] Partida grabada: ${replay.levels.length} niveles, ${shots} tiros`)
+    return replay
+  }
+
+  /**
+   * Estado serializable de la grabación en curso (para guardar la partida)
+   */
+  getState() {
+    if (!this.replay) return null
+
+    return JSON.parse(
+      JSON.stringify({
+        replay: this.replay,
+        segmentIndex: this.replay.levels.indexOf(this.segment),
+      }),
+    )
+  }
+
+  /**
+   * Continúa una grabación obtenida con getState()
+   */
+  setState(savedState) {
+    if (!savedState) {
+      this.discard()
+      return
+    }
+
+    this.replay = savedState.replay
+    this.segment = this.replay.levels[savedState.segmentIndex] || null
+  }
+
+  /**
+   * Descarta la grabación en curso
+   */
+  discard() {
+    this.replay = null
+    this.segment = null
+  }
+}
+
+export class ReplayPlayer {
+  constructor(game) {
+    console.log("📼 [REPLAY] Inicializando reproductor...")
+
+    this.game = game
+    this.replay = null
+    this.replays = []
+    this.physics = null
+    this.segmentIndex = -1
+    this.eventIndex = 0
+    this.offsets = []
+    this.totalTicks = 0
+    this.playing = false
+    this.speed = 1
+    this.accumulator = 0
+    this.lastTimestamp = null
+    this.frameId = null
+    this.domElements = {}
+
+    this.initializeElements()
+    this.setupEventListeners()
+
+    console.log("✅ [REPLAY] Reproductor inicializado")
+  }
+
+  /**
+   * Busca los elementos DOM del panel de repeticiones
+   */
+  initializeElements() {
+    const elementIds = [
+      "replayPanel",
+      "replaySelect",
+      "replayPlayButton",
+      "replayScrub",
+      "replaySpeedSelect",
+      "replayInfo",
+      "replayCloseButton",
+    ]
+
+    elementIds.forEach((id) => {
+      this.domElements[id] = document.getElementById(id)
+      if (!this.domElements[id]) {
+        console.warn(`⚠️ [REPLAY] Elemento no encontrado: ${id}`)
+      }
+    })
+  }
+
+  /**
+   * Configura los controles del panel
+   */
+  setupEventListeners() {
+    const { replaySelect, replayPlayButton, replayScrub, replaySpeedSelect, replayCloseButton } = this.domElements
+
+    replaySelect?.addEventListener("change", (e) => {
+      this.load(this.replays[Number.parseInt(e.target.value)])
+    })
+    replayPlayButton?.addEventListener("click", () => this.togglePlay())
+    replayScrub?.addEventListener("input", (e) => {
+      this.pause()
+      this.seek(Number.parseInt(e.target.value))
+    })
+    replaySpeedSelect?.addEventListener("change", (e) => {
+      this.speed = Number.parseFloat(e.target.value) || 1
+    })
+    replayCloseButton?.addEventListener("click", () => this.close())
+  }
+
+  /**
+   * Abre el reproductor con las repeticiones guardadas
+   */
+  open(index = 0) {
+    this.replays = this.game.storageManager.loadReplays()
+    if (this.replays.length === 0) {
+      this.game.uiManager.showNotification("No replays saved yet", "info")
+      return false
+    }
+
+    console.log("📼 [REPLAY] Abriendo reproductor...")
+
+    this.game.menuSystem.hide()
+    this.game.uiManager.hideGameOverScreen()
+    if (this.domElements.replayPanel) {
+      this.domElements.replayPanel.style.display = "flex"
+    }
+
+    this.populateReplayList(index)
+    this.load(this.replays[index] || this.replays[0])
+    this.frameId = requestAnimationFrame(this.loop.bind(this))
+    return true
+  }
+
+  /**
+   * Cierra el reproductor y vuelve al menú principal
+   */
+  close() {
+    console.log("📼 [REPLAY] Cerrando reproductor")
+
+    this.pause()
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId)
+      this.frameId = null
+    }
+    if (this.domElements.replayPanel) {
+      this.domElements.replayPanel.style.display = "none"
+    }
+
+    this.replay = null
+    this.physics = null
+    this.game.menuSystem.show()
+  }
+
+  /**
+   * Rellena el selector con las repeticiones guardadas
+   */
+  populateReplayList(selectedIndex) {
+    const select = this.domElements.replaySelect
+    if (!select) return
+
+    select.innerHTML = ""
+    this.replays.forEach((replay, index) => {
+      const option = document.createElement("option")
+      option.value = String(index)
+      option.textContent = `${new Date(replay.startedAt).toLocaleString()} · ${replay.finalScore ?? 0} pts`
+      select.appendChild(option)
+    })
+    select.value = String(selectedIndex)
+  }
+
+  /**
+   * Prepara una repetición y la coloca al principio
+   */
+  load(replay) {
+    if (!replay) return
+
+    this.replay = replay
+    this.segmentIndex = -1
+    this.playing = false
+
+    // Línea de tiempo global: los tramos de cada nivel uno detrás de otro
+    this.offsets = []
+    this.totalTicks = 0
+    replay.levels.forEach((segment) => {
+      this.offsets.push(this.totalTicks)
+      this.totalTicks += segment.endTick
+    })
+
+    if (this.domElements.replayScrub) {
+      this.domElements.replayScrub.max = String(this.totalTicks)
+    }
+
+    console.log(`📼 [REPLAY] Repetición cargada: semilla ${replay.seed}, ${this.totalTicks} pasos`)
+    this.seek(0)
+  }
+
+  /**
+   * Paso actual en la línea de tiempo global
+   */
+  get currentTick() {
+    if (!this.physics) return 0
+    return this.offsets[this.segmentIndex] + this.physics.tick
+  }
+
+  /**
+   * Salta a un paso de la línea de tiempo re-simulando desde la
+   * instantánea del nivel correspondiente
+   */
+  seek(tick) {
+    if (!this.replay || this.replay.levels.length === 0) return
+
+    const target = Math.min(Math.max(tick, 0), this.totalTicks)
+
+    // Tramo que contiene el paso (el final pertenece al último tramo)
+    let index = this.offsets.length - 1
+    while (index > 0 && this.offsets[index] > target) {
+      index--
+    }
+    const localTarget = target - this.offsets[index]
+
+    // Retroceder obliga a empezar el tramo de nuevo
+    if (index !== this.segmentIndex || localTarget < this.physics.tick) {
+      this.loadSegment(index)
+    }
+
+    while (this.physics.tick < localTarget) {
+      this.advance()
+    }
+
+    this.render()
+  }
+
+  /**
+   * Reconstruye el tablero y el motor al inicio de un tramo
+   */
+  loadSegment(index) {
+    const segment = this.replay.levels[index]
+
+    this.segmentIndex = index
+    this.eventIndex = 0
+    this.game.levelLoader.buildBoard(segment.level)
+    this.game.boardRenderer.reset()
+
+    // Generador propio desde el estado grabado: repetir no gasta la secuencia de la partida
+    const random = new SeededRandom(this.replay.seed)
+    if (segment.random) random.setState(segment.random)
+
+    this.physics = new PhysicsEngine(null, { silent: true, random })
+    this.physics.setState(segment.snapshot)
+  }
+
+  /**
+   * Aplica los eventos del paso actual y avanza un paso
+   */
+  advance() {
+    const events = this.replay.levels[this.segmentIndex].events
+
+    while (this.eventIndex < events.length && events[this.eventIndex].tick <= this.physics.tick) {
+      this.applyEvent(events[this.eventIndex])
+      this.eventIndex++
+    }
+
+    this.physics.step()
+  }
+
+  /**
+   * Reproduce un evento grabado sobre el motor
+   */
+  applyEvent(event) {
+    switch (event.type) {
+      case "shot":
+        this.physics.shootStar(
+          {
+            selectedStar: event.starId,
+            startPos: { x: 0, y: 0 },
+            currentPos: { x: -event.dragVector.x, y: -event.dragVector.y },
+          },
+          event.dragDistance,
+          event.dragTime,
+        )
+        break
+
+      case "pickup":
+        this.physics.addPickup(event.pickup)
+        break
+
+      case "effects":
+        this.physics.shieldActive = event.shieldActive
+        this.physics.magnetActive = event.magnetActive
+        break
+
+      case "reset":
+        this.physics.resetStars()
+        break
+    }
+  }
+
+  /**
+   * Reproduce o pausa
+   */
+  togglePlay() {
+    if (this.playing) {
+      this.pause()
+    } else {
+      this.play()
+    }
+  }
+
+  play() {
+    if (!this.replay) return
+
+    // Al llegar al final, volver a empezar
+    if (this.currentTick >= this.totalTicks) {
+      this.seek(0)
+    }
+    this.playing = true
+    this.accumulator = 0
+    this.lastTimestamp = null
+    this.updatePanel()
+  }
+
+  pause() {
+    this.playing = false
+    this.updatePanel()
+  }
+
+  /**
+   * Bucle de reproducción a la velocidad elegida
+   */
+  loop(timestamp) {
+    if (this.playing) {
+      if (this.lastTimestamp === null) {
+        this.lastTimestamp = timestamp
+      }
+
+      const frameTime = Math.min(timestamp - this.lastTimestamp, this.physics.MAX_FRAME_TIME)
+      this.lastTimestamp = timestamp
+      this.accumulator += frameTime * this.speed
+
+      const steps = Math.floor(this.accumulator / this.physics.FIXED_TIMESTEP)
+      if (steps > 0) {
+        this.accumulator -= steps * this.physics.FIXED_TIMESTEP
+        this.seek(this.currentTick + steps)
+      }
+
+      if (this.currentTick >= this.totalTicks) {
+        this.pause()
+      }
+    }
+
+    this.frameId = requestAnimationFrame(this.loop.bind(this))
+  }
+
+  /**
+   * Dibuja el motor de la repetición en el tablero
+   */
+  render() {
+    this.game.boardRenderer.render(1, this.physics)
+    this.game.boardRenderer.updateCamera(this.game.gameState, this.physics)
+    this.updatePanel()
+  }
+
+  /**
+   * Actualiza la barra de tiempo y la información del panel
+   */
+  updatePanel() {
+    const { replayPlayButton, replayScrub, replayInfo } = this.domElements
+    if (!this.replay || !this.physics) return
+
+    if (replayPlayButton) {
+      replayPlayButton.textContent = this.playing ? "❚❚ PAUSE" : "▶ PLAY"
+    }
+    if (replayScrub) {
+      replayScrub.value = String(this.currentTick)
+    }
+    if (replayInfo) {
+      const segment = this.replay.levels[this.segmentIndex]
+      const shots = segment.events.filter((event) => event.type === "shot" && event.tick < this.physics.tick).length
+      const seconds = Math.floor((this.currentTick * this.physics.FIXED_TIMESTEP) / 1000)
+      replayInfo.textContent = `Level ${segment.levelNumber} · Shot ${shots} · ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * SCORING - Puntuación, Combos y Tiros de Fantasía
+ *
+ * Calcula los puntos de cada estrella metida a partir de lo ocurrido en el tiro:
+ * - Bandas: rebotes en los bordes antes de entrar
+ * - Carambolas: la estrella metida chocó con otra durante el tiro
+ * - Varias estrellas metidas con un mismo tiro
+ * - Tiros largos: distancia desde donde estaba la estrella al disparar
+ * - Combo: estrellas metidas seguidas multiplican los puntos
+ * - Desglose de la partida por categoría para la pantalla final
+ */
+
+export const SCORE_CATEGORIES = {
+  pot: { label: "Pots", short: "Pot" },
+  bank: { label: "Bank shots", short: "Bank" },
+  carom: { label: "Caroms", short: "Carom" },
+  multiPot: { label: "Multi-pots", short: "Multi-pot" },
+  longShot: { label: "Long shots", short: "Long shot" },
+  combo: { label: "Combo bonus", short: "Combo" },
+  meteorite: { label: "Meteorite hits", short: "Meteorite" },
+  blackHole: { label: "Black holes", short: "Black hole" },
+  levelBonus: { label: "Level bonuses", short: "Level" },
+  pickup: { label: "Pickup bonuses", short: "Pickup" },
+}
+
+export class ScoringSystem {
+  constructor(game) {
+    console.log("🧮 [SCORING] Inicializando sistema de puntuación...")
+
+    this.game = game
+    this.shot = null // Lo ocurrido desde el último disparo
+    this.multiplier = 1
+    this.lastPotTick = null
+    this.breakdown = {}
+
+    // Constantes
+    this.POT_POINTS = 100
+    this.BANK_POINTS = 50 // Por cada banda
+    this.MAX_BANKS = 3
+    this.CAROM_POINTS = 75
+    this.MULTI_POT_POINTS = 100 // Por cada estrella extra del mismo tiro
+    this.LONG_SHOT_DISTANCE = 600 // px
+    this.LONG_SHOT_POINTS = 75
+    this.METEORITE_PENALTY = 50
+    this.BLACK_HOLE_PENALTY = 75
+    this.COMBO_WINDOW = 300 // Pasos de física (5 s) para encadenar el combo
+    this.COMBO_STEP = 0.5
+    this.MAX_MULTIPLIER = 3
+
+    this.reset()
+
+    console.log("✅ [SCORING] Sistema de puntuación inicializado")
+  }
+
+  /**
+   * Empieza una partida nueva
+   */
+  reset() {
+    this.shot = null
+    this.multiplier = 1
+    this.lastPotTick = null
+    this.breakdown = Object.fromEntries(Object.keys(SCORE_CATEGORIES).map((category) => [category, 0]))
+  }
+
+  /**
+   * Anota puntos de una categoría en el desglose de la partida
+   */
+  record(category, points) {
+    this.breakdown[category] = (this.breakdown[category] || 0) + points
+  }
+
+  /**
+   * Un disparo empieza: guarda dónde estaba cada estrella
+   */
+  beginShot(starId) {
+    const startPositions = {}
+    this.game.physicsEngine.stars.forEach((star) => {
+      startPositions[star.id] = { x: star.x, y: star.y }
+    })
+
+    this.shot = { starId, startPositions, bounces: {}, caromed: [], pots: 0 }
+  }
+
+  /**
+   * Una estrella ha rebotado en un borde
+   */
+  onBounce(starId) {
+    if (!this.shot) return
+    this.shot.bounces[starId] = (this.shot.bounces[starId] || 0) + 1
+  }
+
+  /**
+   * Dos estrellas han chocado
+   */
+  onCollision(starIdA, starIdB) {
+    if (!this.shot) return
+
+    for (const starId of [starIdA, starIdB]) {
+      if (!this.shot.caromed.includes(starId)) this.shot.caromed.push(starId)
+    }
+  }
+
+  /**
+   * Puntúa una estrella metida. Devuelve el total y las partidas que lo forman.
+   */
+  scorePot(starId) {
+    const physics = this.game.physicsEngine
+    const star = physics.stars.find((s) => s.id === starId)
+    const shot = this.shot
+    const items = [{ category: "pot", points: this.POT_POINTS }]
+
+    if (shot) {
+      shot.pots++
+
+      const banks = Math.min(shot.bounces[starId] || 0, this.MAX_BANKS)
+      if (banks > 0) {
+        items.push({ category: "bank", points: banks * this.BANK_POINTS, detail: `×${banks}` })
+      }
+
+      if (shot.caromed.includes(starId)) {
+        items.push({ category: "carom", points: this.CAROM_POINTS })
+      }
+
+      if (shot.pots > 1) {
+        items.push({ category: "multiPot", points: (shot.pots - 1) * this.MULTI_POT_POINTS, detail: `#${shot.pots}` })
+      }
+
+      const start = shot.startPositions[starId]
+      const hole = physics.holes.find((h) => h.id === star?.holeId)
+      if (start && hole && Math.hypot(hole.x - start.x, hole.y - start.y) >= this.LONG_SHOT_DISTANCE) {
+        items.push({ category: "longShot", points: this.LONG_SHOT_POINTS })
+      }
+    }
+
+    // El combo sube con cada estrella metida dentro de la ventana
+    const tick = physics.tick
+    if (this.lastPotTick !== null && tick - this.lastPotTick <= this.COMBO_WINDOW) {
+      this.multiplier = Math.min(this.multiplier + this.COMBO_STEP, this.MAX_MULTIPLIER)
+    } else {
+      this.multiplier = 1
+    }
+    this.lastPotTick = tick
+
+    const subtotal = items.reduce((sum, item) => sum + item.points, 0)
+    const total = Math.round(subtotal * this.multiplier)
+    if (total > subtotal) {
+      items.push({ category: "combo", points: total - subtotal, detail: `×${this.multiplier}` })
+    }
+
+    items.forEach((item) => this.record(item.category, item.points))
+    return { total, items, multiplier: this.multiplier }
+  }
+
+  /**
+   * Penaliza un choque con un meteorito y rompe el combo
+   */
+  scoreMeteoriteHit() {
+    this.breakCombo()
+    this.record("meteorite", -this.METEORITE_PENALTY)
+    return -this.METEORITE_PENALTY
+  }
+
+  /**
+   * Penaliza una estrella tragada por un agujero negro y rompe el combo
+   */
+  scoreSwallowed() {
+    this.breakCombo()
+    this.record("blackHole", -this.BLACK_HOLE_PENALTY)
+    return -this.BLACK_HOLE_PENALTY
+  }
+
+  /**
+   * Nivel nuevo: el tiro anterior y el combo no pasan de un nivel a otro
+   */
+  resetLevel() {
+    this.shot = null
+    this.breakCombo()
+  }
+
+  /**
+   * Pierde el multiplicador
+   */
+  breakCombo() {
+    this.multiplier = 1
+    this.lastPotTick = null
+  }
+
+  /**
+   * Caduca el combo si pasa demasiado tiempo sin meter estrellas.
+   * Devuelve true si el multiplicador ha cambiado.
+   */
+  update() {
+    if (this.lastPotTick === null) return false
+    if (this.game.physicsEngine.tick - this.lastPotTick <= this.COMBO_WINDOW) return false
+
+    const changed = this.multiplier !== 1
+    this.breakCombo()
+    return changed
+  }
+
+  /**
+   * Texto corto de las partidas de una puntuación: "Pot +100, Bank ×2 +100"
+   */
+  describe(items) {
+    return items
+      .map((item) => `${SCORE_CATEGORIES[item.category].short}${item.detail ? ` ${item.detail}` : ""} +${item.points}`)
+      .join(", ")
+  }
+
+  /**
+   * Desglose de la partida con las categorías que han sumado o restado
+   */
+  getBreakdown() {
+    return Object.entries(this.breakdown)
+      .filter(([, points]) => points !== 0)
+      .map(([category, points]) => ({ category, label: SCORE_CATEGORIES[category].label, points }))
+  }
+
+  /**
+   * Estado serializable (para guardar la partida)
+   */
+  getState() {
+    return JSON.parse(
+      JSON.stringify({
+        shot: this.shot,
+        multiplier: this.multiplier,
+        lastPotTick: this.lastPotTick,
+        breakdown: this.breakdown,
+      }),
+    )
+  }
+
+  /**
+   * Restaura un estado obtenido con getState()
+   */
+  setState(savedState) {
+    this.reset()
+    if (!savedState) return
+
+    this.shot = savedState.shot
+    this.multiplier = savedState.multiplier
+    this.lastPotTick = savedState.lastPotTick
+    Object.assign(this.breakdown, savedState.breakdown)
+  }
+}
\ No newline at end of file
@@ -14,6 +14,8 @@ export class StorageManager {
     this.storageAvailable = this.checkStorageAvailability()
     this.storagePrefix = "stellarPool_"
     this.maxHighScores = 10
+    this.maxReplays = 5
+    this.maxDailyResults = 30
     
     console.log(`✅ [STORAGE] Sistema inicializado. Storage disponible: ${this.storageAvailable}`)
   }
@@ -111,6 +113,9 @@ export class StorageManager {
       controlMode: "flipper",
       pointerStyle: "orbital",
       showTrajectory: true,
+      trajectoryBounces: 2,
+      playerCount: 1,
+      aiDifficulty: "off",
       soundEnabled: false,
     })
   }
@@ -126,6 +131,11 @@ export class StorageManager {
       date: scoreData.date || new Date().toISOString(),
     }
     
+    // Partidas hot-seat: cada jugador guarda su propia puntuación
+    if (scoreData.player) {
+      scoreEntry.player = scoreData.player
+    }
+    
     // Cargar puntuaciones existentes
     const existingScores = this.loadHighScores()
     
@@ -162,6 +172,82 @@ export class StorageManager {
     return cleared
   }
   
+  /**
+   * Guarda la repetición de una partida (las más recientes primero)
+   */
+  saveReplay(replay) {
+    const replays = [replay, ...this.loadReplays()].slice(0, this.maxReplays)
+    const saved = this.saveData("replays", replays)
+    console.log(`🎥 [STORAGE] Repetición guardada (${replays.length}/${this.maxReplays})`)
+    return saved
+  }
+  
+  /**
+   * Carga las repeticiones guardadas
+   */
+  loadReplays() {
+    return this.loadData("replays", [])
+  }
+  
+  /**
+   * Guarda el resultado de un nivel de puzle si mejora el anterior
+   * (más estrellas, o las mismas con menos tiros)
+   */
+  savePuzzleResult(levelNumber, result) {
+    const results = this.loadPuzzleResults()
+    const best = results[levelNumber]
+    
+    if (best && (best.stars > result.stars || (best.stars === result.stars && best.shots <= result.shots))) {
+      return false
+    }
+    
+    results[levelNumber] = { stars: result.stars, shots: result.shots, date: new Date().toISOString() }
+    const saved = this.saveData("puzzleResults", results)
+    console.log(`🧩 [STORAGE] Nuevo récord en el nivel ${levelNumber}: ${result.stars} estrellas, ${result.shots} tiros`)
+    return saved
+  }
+  
+  /**
+   * Carga los mejores resultados del modo puzle, por número de nivel
+   */
+  loadPuzzleResults() {
+    return this.loadData("puzzleResults", {})
+  }
+  
+  /**
+   * Guarda el resultado del reto de un día (se conservan los más recientes)
+   */
+  saveDailyResult(dateKey, result) {
+    const results = this.loadData("dailyResults", {})
+    results[dateKey] = result
+    
+    // Las fechas AAAA-MM-DD se ordenan como texto
+    const recent = Object.keys(results).sort().slice(-this.maxDailyResults)
+    const trimmed = Object.fromEntries(recent.map((key) => [key, results[key]]))
+    return this.saveData("dailyResults", trimmed)
+  }
+  
+  /**
+   * Carga el resultado del reto de un día (null si no se ha jugado)
+   */
+  loadDailyResult(dateKey) {
+    return this.loadData("dailyResults", {})[dateKey] || null
+  }
+  
+  /**
+   * Guarda la racha de retos diarios completados
+   */
+  saveDailyStreak(streak) {
+    return this.saveData("dailyStreak", streak)
+  }
+  
+  /**
+   * Carga la racha de retos diarios completados
+   */
+  loadDailyStreak() {
+    return this.loadData("dailyStreak", { current: 0, best: 0, lastDate: null })
+  }
+  
   /**
    * Guarda el progreso actual del juego
    */
@@ -179,6 +265,13 @@ export class StorageManager {
     return this.loadData("progress", null)
   }
   
+  /**
+   * Elimina el progreso guardado (la partida terminó)
+   */
+  clearProgress() {
+    return this.removeData("progress")
+  }
+  
   /**
    * Exporta todos los datos a JSON
    */
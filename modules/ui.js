@@ -7,6 +7,9 @@
  * - Transiciones y animaciones de UI
  */
 
+import { STAR_PROPERTIES } from "./physics.js"
+import { POWERUP_TYPES } from "./powerups.js"
+
 export class UIManager {
   constructor(game) {
     console.log("🖥️ [UI] Inicializando gestor de interfaz...")
@@ -38,6 +41,15 @@ export class UIManager {
       "pauseOverlay",
       "notificationContainer",
       "levelIndicator",
+      "powerMeter",
+      "playersPanel",
+      "timeItem",
+      "shotsItem",
+      "shotsValue",
+      "comboItem",
+      "comboValue",
+      "starItem",
+      "starValue",
     ]
     
     // Buscar cada elemento
@@ -79,6 +91,52 @@ export class UIManager {
     this.updateScore(gameState.score)
     this.updateTimer(gameState.timeLeft)
     this.updateLevel(gameState.level)
+    this.updateShots(gameState)
+  }
+  
+  /**
+   * Muestra el multiplicador de combo (oculto mientras vale ×1)
+   */
+  updateMultiplier(multiplier) {
+    const { comboItem, comboValue } = this.elements
+    if (!comboItem || !comboValue) return
+    
+    if (multiplier > 1) {
+      comboValue.textContent = `×${multiplier}`
+      comboItem.style.display = "flex"
+      comboItem.classList.remove("combo-pulse")
+      void comboItem.offsetWidth // Reiniciar la animación
+      comboItem.classList.add("combo-pulse")
+    } else {
+      comboItem.style.display = "none"
+    }
+  }
+  
+  /**
+   * Muestra el tipo de la estrella seleccionada; su habilidad va en el tooltip
+   */
+  updateSelectedStar(star) {
+    const { starItem, starValue } = this.elements
+    const type = star && STAR_PROPERTIES[star.type]
+    if (!starItem || !starValue || !type) return
+    
+    starValue.textContent = type.label.toUpperCase()
+    starValue.className = `hud-value star-type ${star.type}`
+    starItem.title = `${type.ability.name}: ${type.ability.description}`
+  }
+  
+  /**
+   * En modo puzle muestra los tiros usados en lugar del tiempo
+   */
+  updateShots(gameState) {
+    const isPuzzle = gameState.mode === "puzzle"
+    
+    if (this.elements.timeItem) this.elements.timeItem.style.display = isPuzzle ? "none" : "flex"
+    if (this.elements.shotsItem) this.elements.shotsItem.style.display = isPuzzle ? "flex" : "none"
+    
+    if (isPuzzle && this.elements.shotsValue && gameState.levelStats && gameState.currentLevel) {
+      this.elements.shotsValue.textContent = `${gameState.levelStats.shots}/${gameState.currentLevel.shotBudget}`
+    }
   }
   
   /**
@@ -119,6 +177,32 @@ export class UIManager {
     this.timeLeft = seconds
   }
   
+  /**
+   * Muestra la puntuación de cada jugador y resalta a quién le toca
+   */
+  updatePlayers(playerManager) {
+    const panel = this.elements.playersPanel
+    if (!panel) return
+    
+    if (!playerManager.isMultiplayer) {
+      panel.innerHTML = ""
+      panel.style.display = "none"
+      return
+    }
+    
+    panel.innerHTML = playerManager.players
+      .map(
+        (player, index) => `
+        <div class="player-score${index === playerManager.currentIndex ? " current" : ""}">
+          <span class="player-name">${player.type === "ai" ? "🤖" : `P${player.id}`}</span>
+          <span class="player-points">${player.score}</span>
+        </div>
+      `,
+      )
+      .join("")
+    panel.style.display = "flex"
+  }
+  
   /**
    * Actualiza el nivel mostrado
    */
@@ -240,12 +324,18 @@ export class UIManager {
       const finalScoreElement = document.getElementById("finalScore")
       const maxLevelElement = document.getElementById("maxLevel")
       const playTimeElement = document.getElementById("playTime")
+      const seedElement = document.getElementById("runSeed")
       
       if (finalScoreElement) finalScoreElement.textContent = stats.finalScore
       if (maxLevelElement) maxLevelElement.textContent = stats.maxLevel
       if (playTimeElement) playTimeElement.textContent = this.formatTime(stats.playTime)
+      if (seedElement) seedElement.textContent = stats.seed ?? "-"
+      this.updateScoreBreakdown(stats.breakdown)
+      this.updatePlayerSummary(stats.players)
+      this.updatePuzzleResult(stats.puzzle)
+      this.updateDailyResult(stats.daily)
       
-      console.log(`📊 [UI] Estadísticas finales: Score ${stats.finalScore}, Nivel ${stats.maxLevel}`)
+      console.log(`📊 [UI] Estadísticas finales: Score ${stats.finalScore}, Nivel ${stats.maxLevel}, Semilla ${stats.seed}`)
     }
     
     // Mostrar botones después de un breve retraso
@@ -259,6 +349,101 @@ export class UIManager {
     }, 500)
   }
   
+  /**
+   * Desglosa la puntuación final por categoría (pots, bandas, combos...)
+   */
+  updateScoreBreakdown(breakdown) {
+    const container = document.getElementById("scoreBreakdown")
+    if (!container) return
+    
+    if (!breakdown || breakdown.length === 0) {
+      container.innerHTML = ""
+      container.style.display = "none"
+      return
+    }
+    
+    container.innerHTML = breakdown
+      .map(
+        (entry) => `
+        <div class="stat-item breakdown-item">
+          <div class="stat-label">${entry.label}</div>
+          <div class="stat-value">${entry.points > 0 ? "+" : ""}${entry.points}</div>
+        </div>
+      `,
+      )
+      .join("")
+    container.style.display = "block"
+  }
+  
+  /**
+   * Muestra el resultado de cada jugador en partidas hot-seat
+   */
+  updatePlayerSummary(players) {
+    const summary = document.getElementById("playerSummary")
+    if (!summary) return
+    
+    if (!players) {
+      summary.innerHTML = ""
+      summary.style.display = "none"
+      return
+    }
+    
+    summary.innerHTML = players
+      .map(
+        (player, index) => `
+        <div class="stat-item player-result${index === 0 ? " winner" : ""}">
+          <div class="stat-label">${index === 0 ? "🏆 " : ""}${player.name}</div>
+          <div class="stat-value">${player.score} pts · ${player.pots}/${player.shots} potted · ${player.meteoriteHits} hits</div>
+        </div>
+      `,
+      )
+      .join("")
+    summary.style.display = "block"
+  }
+  
+  /**
+   * Muestra la valoración y el resultado respecto al par de un nivel de puzle
+   */
+  updatePuzzleResult(result) {
+    const title = document.getElementById("gameOverTitle")
+    const container = document.getElementById("puzzleResult")
+    const rating = document.getElementById("puzzleRating")
+    const summary = document.getElementById("puzzleSummary")
+    
+    if (!result) {
+      if (title) title.textContent = "GAME OVER"
+      if (container) container.style.display = "none"
+      return
+    }
+    
+    if (title) title.textContent = result.completed ? "LEVEL COMPLETE" : "OUT OF SHOTS"
+    if (rating) rating.textContent = this.game.puzzleSystem.formatRating(result.stars)
+    if (summary) {
+      summary.textContent = result.completed
+        ? `${result.name}: ${result.shots} shots (par ${result.par}, ${result.parText})`
+        : `${result.name}: ${result.budget} shots used without reaching the goal`
+    }
+    if (container) container.style.display = "block"
+  }
+  
+  /**
+   * Muestra el resumen compartible del reto diario
+   */
+  updateDailyResult(result) {
+    const container = document.getElementById("dailyResult")
+    const shareText = document.getElementById("dailyShareText")
+    
+    if (!result) {
+      if (container) container.style.display = "none"
+      return
+    }
+    
+    const title = document.getElementById("gameOverTitle")
+    if (title) title.textContent = result.completed ? "DAILY CLEARED" : "DAILY OVER"
+    if (shareText) shareText.textContent = result.shareText
+    if (container) container.style.display = "block"
+  }
+  
   /**
    * Formatea segundos a MM:SS
    */
@@ -362,12 +547,14 @@ export class UIManager {
       pauseButton.classList.toggle("active", gameState.gamePaused)
     }
     
-    if (powerupButton && gameState.powerups && gameState.powerups.length > 0) {
+    if (powerupButton && gameState.powerupInventory && gameState.powerupInventory.length > 0) {
       powerupButton.classList.add("available")
       powerupButton.disabled = false
+      powerupButton.dataset.count = gameState.powerupInventory.length
     } else if (powerupButton) {
       powerupButton.classList.remove("available")
       powerupButton.disabled = true
+      delete powerupButton.dataset.count
     }
   }
   
@@ -375,7 +562,10 @@ export class UIManager {
    * Actualiza la visualización de un powerup
    */
   updatePowerupDisplay(powerupType, active, timeLeft = 0) {
-    const powerupElement = document.getElementById(`powerup-${powerupType}`)
+    let powerupElement = document.getElementById(`powerup-${powerupType}`)
+    if (!powerupElement && active) {
+      powerupElement = this.createPowerupIndicator(powerupType)
+    }
     if (!powerupElement) return
     
     if (active) {
@@ -390,6 +580,57 @@ export class UIManager {
     }
   }
   
+  /**
+   * Muestra el medidor de potencia del modo flipper (null lo oculta)
+   */
+  updatePowerMeter(value) {
+    const powerMeter = this.elements.powerMeter
+    if (!powerMeter) return
+
+    if (value === null) {
+      powerMeter.classList.remove("visible")
+      return
+    }
+
+    powerMeter.classList.add("visible")
+    const fill = powerMeter.querySelector(".power-meter-fill")
+    if (fill) {
+      fill.style.width = `${Math.round(value * 100)}%`
+    }
+  }
+
+  /**
+   * Crea el indicador de un powerup en el HUD
+   */
+  createPowerupIndicator(powerupType) {
+    const container = document.getElementById("powerupsContainer")
+    const definition = POWERUP_TYPES[powerupType]
+    if (!container || !definition) return null
+
+    const indicator = document.createElement("div")
+    indicator.id = `powerup-${powerupType}`
+    indicator.classList.add("powerup-indicator", definition.cssClass)
+    indicator.title = definition.label
+
+    const progressBar = document.createElement("div")
+    progressBar.classList.add("powerup-progress")
+    indicator.appendChild(progressBar)
+
+    container.appendChild(indicator)
+    return indicator
+  }
+
+  /**
+   * Elimina los indicadores de powerups del HUD
+   */
+  clearPowerupDisplays() {
+    const container = document.getElementById("powerupsContainer")
+    if (container) {
+      container.innerHTML = ""
+    }
+    this.updateControlButtons(this.game.gameState)
+  }
+
   /**
    * Muestra el historial de puntuaciones
    */
@@ -417,6 +658,7 @@ export class UIManager {
         <thead>
           <tr>
             <th>Posición</th>
+            <th>Jugador</th>
             <th>Puntuación</th>
             <th>Nivel</th>
             <th>Fecha</th>
@@ -428,6 +670,7 @@ export class UIManager {
               (score, index) => `
             <tr class="${index === 0 ? "top-score" : ""}">
               <td>${index + 1}</td>
+              <td>${score.player || "-"}</td>
               <td>${score.score}</td>
               <td>${score.level || "-"}</td>
               <td>${new Date(score.date).toLocaleDateString()}</td>